@@ -0,0 +1,1115 @@
+const express = require('express')
+const cors = require('cors')
+const multer = require('multer')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const merge = require('./merge')
+const { createJobStore } = require('./store')
+const { createMiniMaxClient } = require('./minimax')
+const { createGenerator, MAX_LYRICS_LENGTH } = require('./generation')
+const { createPipeline, summarizeStatus, toPublicJob, MAX_SCENES, REGENERATE_PARTS } = require('./pipeline')
+const { SUBTITLE_FORMATS, timeLyrics } = require('./subtitles')
+const { createPresetRegistry } = require('./presets')
+const { OPTION_SCHEMA, createDefaultOptions, resolveOptions } = require('./options')
+const { createJobQueue } = require('./queue')
+const { createMediaStore } = require('./media')
+const images = require('./images')
+const usage = require('./usage')
+const { logger } = require('./logger')
+const { SESSION_COOKIE, createAuth } = require('./auth')
+const { createWebhooks } = require('./webhooks')
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads')
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024 // 10MB
+
+// Burn the lyrics into merged videos unless a request says otherwise
+const SUBTITLE_BURN_IN = process.env.SUBTITLE_BURN_IN === 'true'
+
+// Read the optional storyboard fields of a generate request: either `scenes`,
+// a JSON array of shot descriptions, or `sceneCount` to split the theme
+// automatically. Returns { storyboard } or { error }.
+function parseStoryboard({ scenes, sceneCount }) {
+  if (scenes !== undefined && scenes !== '') {
+    let list = scenes
+    if (typeof scenes === 'string') {
+      try {
+        list = JSON.parse(scenes)
+      } catch {
+        return { error: 'scenes must be a JSON array of shot descriptions' }
+      }
+    }
+    if (!Array.isArray(list) || list.some(scene => typeof scene !== 'string' || !scene.trim())) {
+      return { error: 'scenes must be an array of non-empty shot descriptions' }
+    }
+    if (list.length < 1 || list.length > MAX_SCENES) {
+      return { error: `scenes must contain between 1 and ${MAX_SCENES} shots` }
+    }
+    return { storyboard: { scenes: list.map(scene => scene.trim()) } }
+  }
+
+  if (sceneCount !== undefined && sceneCount !== '') {
+    const count = Number(sceneCount)
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SCENES) {
+      return { error: `sceneCount must be a whole number between 1 and ${MAX_SCENES}` }
+    }
+    return { storyboard: { sceneCount: count } }
+  }
+
+  return { storyboard: null }
+}
+
+// Read the optional `options` field: a JSON object when the request is
+// multipart, or an object in a JSON body. Returns { options } or { error }.
+function parseOptionsField(value) {
+  if (value === undefined || value === '') {
+    return { options: {} }
+  }
+  if (typeof value !== 'string') {
+    return { options: value }
+  }
+  try {
+    return { options: JSON.parse(value) }
+  } catch {
+    return { error: 'options must be a JSON object' }
+  }
+}
+
+// Longest prompt override a regeneration accepts, as long as a theme
+const MAX_PROMPT_LENGTH = 500
+
+// Openings per page of /api/openings, by default and at most
+const OPENINGS_PAGE_SIZE = 20
+const MAX_OPENINGS_PAGE_SIZE = 100
+
+// What the gallery shows of a finished job
+function toOpening(record) {
+  const job = toPublicJob(record)
+  return {
+    id: job.id,
+    theme: job.theme,
+    preset: job.preset,
+    lyrics: job.lyrics,
+    imageUrl: job.imageUrl,
+    musicUrl: job.musicUrl,
+    videoUrl: job.videoUrl,
+    subtitlesUrl: job.lyrics && job.musicDuration ? `/api/jobs/${job.id}/subtitles.vtt` : undefined,
+    subtitlesBurnedIn: Boolean(job.burnSubtitles && job.merged),
+    merged: job.merged,
+    duration: job.duration,
+    sceneCount: job.scenes?.length || 1,
+    userId: job.userId,
+    createdAt: job.createdAt
+  }
+}
+
+// Read a positive whole-number query parameter. Returns { value } or { error }.
+function parsePageParam(name, value, fallback, max = Infinity) {
+  if (value === undefined || value === '') {
+    return { value: fallback }
+  }
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    return { error: `${name} must be a whole number between 1 and ${max}` }
+  }
+  return { value: number }
+}
+
+// Webhook delivery log page size
+const DELIVERIES_PAGE_SIZE = 50
+const MAX_DELIVERIES_PAGE_SIZE = 200
+
+// Routes under /api that work without signing in
+const PUBLIC_ROUTES = ['/health', '/auth/login', '/auth/logout', '/auth/me']
+
+// Merged video names: the job ID, plus the revision for regenerated ones
+const OUTPUT_NAME = /^([\w-]+?)(-r\d+)?\.mp4$/
+
+// Build the Express app. Everything it talks to can be swapped out, which is
+// how the tests run it in-process against the mock MiniMax server.
+function createApp({
+  apiKey = process.env.MINIMAX_API_KEY || '',
+  minimax = createMiniMaxClient({ apiKey }),
+  jobs = createJobStore(),
+  queue = createJobQueue(),
+  media = createMediaStore(),
+  presets = createPresetRegistry(),
+  generationDefaults = {},
+  ledger = usage.createUsageLedger(),
+  prices = usage.DEFAULT_PRICES,
+  budgets = { daily: usage.DAILY_BUDGET, userDaily: usage.USER_DAILY_BUDGET },
+  mergeVideoAndAudio = merge.mergeVideoAndAudio,
+  prepareFrame = images.prepareFrame,
+  checkFfmpeg = merge.checkFfmpeg,
+  auth = createAuth(),
+  webhooks = createWebhooks(),
+  uploadDir = UPLOAD_DIR,
+  pollInterval,
+  pollTimeout,
+  imagePollInterval,
+  imagePollTimeout
+} = {}) {
+  const app = express()
+
+  app.use(cors({
+    origin: ['http://localhost:5173', 'http://127.0.0.1:5173'],
+    credentials: true,
+    exposedHeaders: ['X-Request-Id']
+  }))
+
+  // Every request gets an ID, the caller's X-Request-Id if it sent a sane
+  // one. It is echoed back and tagged on everything logged while handling it,
+  // including the jobs it starts.
+  app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id')
+    req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID()
+    res.set('X-Request-Id', req.id)
+
+    const startedAt = Date.now()
+    res.on('finish', () => {
+      const level = req.path === '/api/health' ? 'debug' : 'info'
+      logger[level]('Request', { requestId: req.id, userId: req.user?.id, method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - startedAt })
+    })
+    next()
+  })
+
+  app.use(express.json())
+  // Entered after the body parser, whose stream callbacks would lose it
+  app.use((req, res, next) => logger.withContext({ requestId: req.id }, next))
+
+  // Who is calling: the token or session user when authentication is on.
+  // Without it every caller is an admin, named by X-User-Id or their address
+  // for usage and per-user budgets.
+  app.use((req, res, next) => {
+    req.user = auth.enabled ? auth.identify(req) : { id: req.get('X-User-Id') || req.ip, role: 'admin' }
+    next()
+  })
+
+  app.use(['/api', '/media'], (req, res, next) => {
+    if (req.user || (req.baseUrl === '/api' && PUBLIC_ROUTES.includes(req.path))) {
+      return next()
+    }
+    res.status(401).json({ error: 'Sign in or send an API token' })
+  })
+
+  // Whether the caller may see a job: its owner, or an admin
+  function canAccess(req, job) {
+    return req.user.role === 'admin' || job.userId === req.user.id
+  }
+
+  // A job the caller may see, or null. Other users' jobs look the same as
+  // jobs that don't exist.
+  async function findJob(req, id) {
+    const job = await jobs.get(id)
+    return job && canAccess(req, job) ? job : null
+  }
+
+  // Cached files can be shared between users, so with authentication on
+  // only private caches may keep them
+  const cacheControl = `${auth.enabled ? 'private' : 'public'}, max-age=31536000, immutable`
+
+  // Merged openings, for the job's owner
+  app.get('/api/output/:name', async (req, res) => {
+    const name = req.params.name.match(OUTPUT_NAME)
+    const job = name && await findJob(req, name[1])
+    const filePath = name && path.join(merge.OUTPUT_DIR, name[0])
+    if (!job || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Video not found' })
+    }
+    res.sendFile(filePath)
+  })
+
+  // Local copies of generated assets, by content hash, for users with a job
+  // that uses them. Players seek with Range requests, which sendFile answers
+  // with partial content.
+  app.get('/media/:name', async (req, res) => {
+    const { name } = req.params
+    const filePath = media.path(name)
+    const owned = req.user.role === 'admin' ||
+      (await jobs.list()).some(job => job.userId === req.user.id && Object.values(job.media || {}).includes(name))
+    if (!filePath || !owned || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Media not found' })
+    }
+    res.sendFile(filePath, { headers: { 'Cache-Control': cacheControl } })
+  })
+
+  // Configure multer for file uploads
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      if (!fs.existsSync(uploadDir)) {
+        fs.mkdirSync(uploadDir, { recursive: true })
+      }
+      cb(null, uploadDir)
+    },
+    // Never trust the client's file name: a random prefix plus a sanitized copy
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${images.sanitizeFilename(file.originalname)}`)
+    }
+  })
+
+  const upload = multer({ 
+    storage,
+    limits: { fileSize: MAX_UPLOAD_BYTES }
+  })
+
+  // Accept one `image` file, keeping the request's log context
+  const uploadImage = (req, res, next) => {
+    upload.single('image')(req, res, error => logger.withContext({ requestId: req.id }, () => next(error)))
+  }
+
+  // Delete the raw upload once the response has gone out, unless the
+  // request ended with `keepStatus`; rejected uploads may still carry metadata
+  function discardUpload(req, res, keepStatus) {
+    res.on('finish', () => {
+      if (req.file && res.statusCode !== keepStatus) {
+        fs.rmSync(req.file.path, { force: true })
+      }
+    })
+  }
+
+  // Check that an upload really is a PNG, JPEG or WebP image and fit it to
+  // the video frame. Returns { error } or the processed upload; an image
+  // ffmpeg can't decode is a bad upload, ffmpeg missing is the server's fault.
+  async function processUpload(file, { options, fit = images.UPLOAD_FIT }) {
+    if (!images.UPLOAD_FITS.includes(fit)) {
+      return { error: `fit must be one of: ${images.UPLOAD_FITS.join(', ')}` }
+    }
+    if (!await images.sniffFile(file.path)) {
+      return { error: 'Only PNG, JPEG or WebP images are supported' }
+    }
+
+    try {
+      const frame = await prepareFrame(file.path, { resolution: options.videoResolution, fit })
+      return {
+        upload: {
+          path: frame.path,
+          mimetype: frame.mimetype,
+          originalname: images.sanitizeFilename(file.originalname),
+          width: frame.width,
+          height: frame.height,
+          fit: frame.fit
+        }
+      }
+    } catch (error) {
+      if (error.exitCode !== undefined) {
+        return { error: 'The image could not be decoded. Only PNG, JPEG or WebP images are supported' }
+      }
+      throw new Error(`Could not process the image: ${error.message}`)
+    }
+  }
+
+  // Server-wide generation options; env settings apply unless overridden here
+  const defaults = createDefaultOptions(generationDefaults)
+  // Every MiniMax call goes through the usage ledger
+  const generator = createGenerator(usage.trackUsage(minimax, { ledger, prices }), { imagePollInterval, imagePollTimeout, defaults })
+
+  // Background pipeline: image → video and lyrics → music in parallel, then merge
+  const pipeline = createPipeline({
+    store: jobs,
+    api: {
+      ...generator,
+      mergeVideoAndAudio,
+      cacheMedia: (source, options) => media.save(source, options),
+      mediaPath: name => media.path(name)
+    },
+    presets,
+    queue,
+    // Job events go out to webhooks as well as to /api/jobs/:id/events
+    notify: event => {
+      jobs.get(event.jobId)
+        .then(job => webhooks.notify(event, job))
+        .catch(error => logger.error('Webhook error', { jobId: event.jobId, error }))
+    },
+    pollInterval,
+    pollTimeout
+  })
+
+  // A job as clients see it; a queued job includes its place in line
+  function publicJob(job) {
+    const queued = job.status === 'queued' ? pipeline.queueStatus(job.id) : null
+    return { ...toPublicJob(job), ...(queued && { queue: queued }) }
+  }
+
+  // API Routes
+
+  // Style presets: prompt templates and default settings per kind of opening
+  app.get('/api/presets', (req, res) => {
+    res.json({ defaultId: presets.defaultId, presets: presets.list() })
+  })
+
+  // What jobs that are still running are expected to spend on top of what
+  // they already have, overall and for one user. A regeneration's estimate
+  // only covers what it spends itself.
+  async function reservedSpend(userId) {
+    const active = (await jobs.list()).filter(job => ['queued', 'running'].includes(job.status) && job.estimate)
+    const remaining = job => Math.max(0, job.estimate.total - (ledger.spentByJob(job.id) - (job.billedBefore || 0)))
+    return {
+      reserved: active.reduce((sum, job) => sum + remaining(job), 0),
+      userReserved: active.filter(job => job.userId === userId).reduce((sum, job) => sum + remaining(job), 0)
+    }
+  }
+
+  // Returns an error message when `estimate` would break a budget cap
+  async function overBudget(userId, estimate) {
+    return usage.checkBudget({
+      ledger,
+      estimate,
+      userId,
+      ...await reservedSpend(userId),
+      dailyBudget: budgets.daily,
+      userDailyBudget: budgets.userDaily
+    })
+  }
+
+  // Validate the settings shared by /api/generate and /api/estimate and
+  // estimate what the job would cost. Returns { error } or the resolved settings.
+  function planJob(body, { hasUpload }) {
+    const { storyboard, error } = parseStoryboard(body)
+    if (error) {
+      return { error }
+    }
+
+    const preset = presets.get(body.preset)
+    if (!preset) {
+      return { error: `Unknown preset "${body.preset}"` }
+    }
+
+    const parsed = parseOptionsField(body.options)
+    if (parsed.error) {
+      return { error: parsed.error }
+    }
+    const { options, errors } = resolveOptions(parsed.options, { defaults, preset: preset.defaults })
+    if (errors) {
+      return { error: errors.join('; '), errors }
+    }
+
+    const estimate = usage.estimateJobCost({
+      options,
+      sceneCount: storyboard?.scenes?.length || storyboard?.sceneCount || 1,
+      planScenes: Boolean(storyboard?.sceneCount),
+      hasUpload,
+      hasLyrics: Boolean(body.lyrics)
+    }, prices)
+    return { storyboard, preset, options, estimate }
+  }
+
+  // Pre-flight cost estimate for the settings a generate request would send
+  app.post('/api/estimate', async (req, res) => {
+    try {
+      const plan = planJob(req.body, { hasUpload: Boolean(req.body.hasImage) })
+      if (plan.error) {
+        return res.status(400).json({ error: plan.error, errors: plan.errors })
+      }
+      const budgetError = await overBudget(req.user.id, plan.estimate.total)
+      res.json({ ...plan.estimate, withinBudget: !budgetError, budgetError })
+    } catch (error) {
+      logger.error('Estimate error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to estimate the cost' 
+      })
+    }
+  })
+
+  // Spend recorded in the usage ledger, per day this month and per month
+  app.get('/api/usage', async (req, res) => {
+    try {
+      // Only admins see everyone's spend
+      const userId = req.user.id
+      res.json({
+        ...ledger.totals(req.user.role === 'admin' ? {} : { userId }),
+        user: { id: userId, today: ledger.totals({ userId }).today },
+        budgets: {
+          daily: budgets.daily || null,
+          userDaily: budgets.userDaily || null,
+          ...await reservedSpend(userId)
+        }
+      })
+    } catch (error) {
+      logger.error('Usage error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to read usage' 
+      })
+    }
+  })
+
+  // Generation options a request may set, their allowed values and the defaults
+  app.get('/api/options', (req, res) => {
+    const schema = Object.fromEntries(Object.entries(OPTION_SCHEMA).map(([name, spec]) => [name, spec.values]))
+    res.json({ defaults, schema })
+  })
+
+  // Draft lyrics for review, or revise a draft with the lyrics API's edit mode.
+  // Nothing else is generated until the final lyrics go to /api/generate.
+  app.post('/api/lyrics', async (req, res) => {
+    try {
+      const { theme, lyrics, instructions } = req.body
+      const preset = presets.get(req.body.preset)
+
+      if (!apiKey) {
+        return res.status(500).json({ 
+          error: 'MiniMax API key not configured. Please set MINIMAX_API_KEY environment variable.' 
+        })
+      }
+
+      const editing = typeof lyrics === 'string' && lyrics.trim() !== ''
+      if (!editing && (typeof theme !== 'string' || !theme.trim())) {
+        return res.status(400).json({ error: 'Theme is required' })
+      }
+      if (!preset) {
+        return res.status(400).json({ error: `Unknown preset "${req.body.preset}"` })
+      }
+      if (editing && (typeof instructions !== 'string' || !instructions.trim())) {
+        return res.status(400).json({ error: 'Describe how the lyrics should change' })
+      }
+      if (editing && lyrics.length > MAX_LYRICS_LENGTH) {
+        return res.status(400).json({ error: `Lyrics must be at most ${MAX_LYRICS_LENGTH} characters` })
+      }
+
+      const userId = req.user.id
+      const budgetError = await overBudget(userId, usage.priceCall('lyrics', {}, prices))
+      if (budgetError) {
+        return res.status(402).json({ error: budgetError })
+      }
+
+      const draft = await usage.usageScope.run({ userId }, () => editing
+        ? generator.editLyrics(lyrics, instructions.trim())
+        : generator.draftLyrics(theme.trim(), { preset }))
+      if (!draft.lyrics) {
+        throw new Error('MiniMax returned no lyrics')
+      }
+
+      res.json({
+        mode: editing ? 'edit' : 'write_full_song',
+        lyrics: draft.lyrics,
+        title: draft.title,
+        styleTags: draft.styleTags
+      })
+    } catch (error) {
+      logger.error('Lyrics error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to write lyrics' 
+      })
+    }
+  })
+
+  // Process an image the way /api/generate would and return the result, so
+  // the frame the user sees is the one that gets animated
+  app.post('/api/uploads/preview', uploadImage, async (req, res) => {
+    discardUpload(req, res, null)
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Image is required' })
+      }
+
+      const plan = planJob(req.body, { hasUpload: true })
+      if (plan.error) {
+        return res.status(400).json({ error: plan.error, errors: plan.errors })
+      }
+
+      const processed = await processUpload(req.file, { options: plan.options, fit: req.body.fit || undefined })
+      if (processed.error) {
+        return res.status(400).json({ error: processed.error })
+      }
+
+      const { path: framePath, mimetype, width, height, fit } = processed.upload
+      const preview = `data:${mimetype};base64,${fs.readFileSync(framePath).toString('base64')}`
+      fs.rmSync(framePath, { force: true })
+      res.json({ preview, width, height, fit })
+    } catch (error) {
+      logger.error('Upload preview error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to process the image' 
+      })
+    }
+  })
+
+  app.post('/api/generate', uploadImage, async (req, res) => {
+    discardUpload(req, res, 202)
+    try {
+      const { theme } = req.body
+
+      if (!apiKey) {
+        return res.status(500).json({ 
+          error: 'MiniMax API key not configured. Please set MINIMAX_API_KEY environment variable.' 
+        })
+      }
+
+      if (typeof theme !== 'string' || !theme.trim()) {
+        return res.status(400).json({ error: 'Theme is required' })
+      }
+
+      const plan = planJob(req.body, { hasUpload: Boolean(req.file) })
+      if (plan.error) {
+        return res.status(400).json({ error: plan.error, errors: plan.errors })
+      }
+      const { storyboard, preset, options, estimate } = plan
+
+      // Confirmed lyrics from /api/lyrics skip the lyrics stage. Multipart
+      // fields arrive with CRLF line endings.
+      if (req.body.lyrics !== undefined && typeof req.body.lyrics !== 'string') {
+        return res.status(400).json({ error: 'Lyrics must be text' })
+      }
+      const lyrics = req.body.lyrics?.replace(/\r\n/g, '\n')
+      if (lyrics !== undefined && (!lyrics.trim() || lyrics.length > MAX_LYRICS_LENGTH)) {
+        return res.status(400).json({ error: `Lyrics must be between 1 and ${MAX_LYRICS_LENGTH} characters` })
+      }
+
+      const { callbackUrl } = req.body
+      if (callbackUrl !== undefined) {
+        if (!webhooks.enabled) {
+          return res.status(400).json({ error: 'Webhooks are off; set WEBHOOK_SECRET to enable them' })
+        }
+        const urlError = webhooks.validateUrl(callbackUrl)
+        if (urlError) {
+          return res.status(400).json({ error: urlError })
+        }
+      }
+
+      // Refuse before anything is sent to MiniMax
+      const userId = req.user.id
+      const budgetError = await overBudget(userId, estimate.total)
+      if (budgetError) {
+        return res.status(402).json({ error: budgetError, estimate })
+      }
+
+      let upload = null
+      if (req.file) {
+        const processed = await processUpload(req.file, { options, fit: req.body.fit || undefined })
+        if (processed.error) {
+          return res.status(400).json({ error: processed.error })
+        }
+        upload = processed.upload
+      }
+
+      // The stages run in the background; clients follow along via /api/jobs/:id.
+      // burnSubtitles is a string from a form and a boolean from JSON.
+      const { burnSubtitles } = req.body
+      const job = await pipeline.start({
+        userId,
+        estimate,
+        theme,
+        preset: preset.id,
+        options,
+        storyboard,
+        lyrics: lyrics?.trim(),
+        burnSubtitles: burnSubtitles === undefined ? SUBTITLE_BURN_IN : [true, 'true'].includes(burnSubtitles),
+        upload,
+        callbackUrl
+      })
+
+      res.status(202).json({
+        jobId: job.id,
+        taskId: job.id,
+        status: job.status,
+        estimate,
+        ...(upload && {
+          frame: { width: upload.width, height: upload.height, fit: upload.fit, previewUrl: `/api/jobs/${job.id}/frame` }
+        })
+      })
+    } catch (error) {
+      logger.error('Generation error', { error, response: error.response?.data })
+      res.status(500).json({ 
+        error: error.message || 'Failed to generate anime opening' 
+      })
+    }
+  })
+
+  // Full job state, including every stage
+  app.get('/api/jobs/:id', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
+
+      res.json(publicJob(job))
+    } catch (error) {
+      logger.error('Job query error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to query job' 
+      })
+    }
+  })
+
+  // Cancel a queued or running generation or regeneration and delete the
+  // files it made
+  app.delete('/api/jobs/:id', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
+
+      const cancelled = await pipeline.cancel(job.id)
+      if (!cancelled) {
+        return res.status(409).json({ error: 'Only queued or running jobs can be cancelled' })
+      }
+
+      // Media another job also uses stays
+      const inUse = new Set((await jobs.list()).flatMap(other => Object.values(other.media || {})))
+      for (const name of cancelled.media.filter(name => !inUse.has(name))) {
+        fs.rmSync(media.path(name), { force: true })
+      }
+      for (const fileName of cancelled.outputs) {
+        fs.rmSync(path.join(merge.OUTPUT_DIR, fileName), { force: true })
+      }
+      if (cancelled.job.status === 'cancelled' && job.upload?.path) {
+        fs.rmSync(job.upload.path, { force: true })
+      }
+
+      res.json(publicJob(cancelled.job))
+    } catch (error) {
+      logger.error('Job cancel error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to cancel job' 
+      })
+    }
+  })
+
+  // Put a finished storyboard's scenes in a new order and merge it again
+  app.post('/api/jobs/:id/reorder', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
+      if (job.status !== 'success' || !job.musicUrl) {
+        return res.status(409).json({ error: 'Only finished openings can be reordered' })
+      }
+
+      const { order } = req.body
+      const ids = (job.scenes || []).map(scene => scene.id)
+      const isPermutation = Array.isArray(order) &&
+        order.length === ids.length &&
+        ids.every(id => order.includes(id))
+      if (!isPermutation) {
+        return res.status(400).json({ error: `order must list every scene ID exactly once: ${ids.join(', ')}` })
+      }
+
+      const updated = await pipeline.reorderScenes(job.id, order)
+      res.status(202).json(toPublicJob(updated))
+    } catch (error) {
+      logger.error('Reorder error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to reorder scenes' 
+      })
+    }
+  })
+
+  // Rerun one part of a finished opening, optionally with a new prompt, and
+  // merge it again. The current version is kept in `revisions`.
+  app.post('/api/jobs/:id/regenerate', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
+      if (job.status !== 'success' || !job.musicUrl) {
+        return res.status(409).json({ error: 'Only finished openings can be regenerated' })
+      }
+
+      const { part, prompt } = req.body
+      if (!REGENERATE_PARTS[part]) {
+        return res.status(400).json({ error: `part must be one of: ${Object.keys(REGENERATE_PARTS).join(', ')}` })
+      }
+      if (prompt !== undefined && (typeof prompt !== 'string' || !prompt.trim() || prompt.length > MAX_PROMPT_LENGTH)) {
+        return res.status(400).json({ error: `prompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters` })
+      }
+
+      const estimate = usage.estimateJobCost({
+        options: job.options || defaults,
+        sceneCount: job.scenes?.length || 1,
+        stages: REGENERATE_PARTS[part]
+      }, prices)
+      const budgetError = await overBudget(job.userId || req.user.id, estimate.total)
+      if (budgetError) {
+        return res.status(402).json({ error: budgetError, estimate })
+      }
+
+      const updated = await pipeline.regenerate(job.id, {
+        part,
+        prompt: prompt?.trim(),
+        estimate,
+        billedBefore: ledger.spentByJob(job.id)
+      })
+      res.status(202).json({ ...publicJob(updated), estimate })
+    } catch (error) {
+      logger.error('Regenerate error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to regenerate' 
+      })
+    }
+  })
+
+  // The processed upload a job animates, while it is still kept
+  app.get('/api/jobs/:id/frame', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
+      if (!job.upload?.path || !fs.existsSync(job.upload.path)) {
+        return res.status(404).json({ error: 'This job has no uploaded frame' })
+      }
+      res.type(job.upload.mimetype)
+      res.sendFile(path.resolve(job.upload.path))
+    } catch (error) {
+      logger.error('Frame error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to load the frame' 
+      })
+    }
+  })
+
+  // Lyrics timed to the song, as a WebVTT or SRT sidecar file
+  app.get('/api/jobs/:id/subtitles.:format', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+      const format = SUBTITLE_FORMATS[req.params.format]
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
+      if (!format) {
+        return res.status(404).json({ error: `Unknown subtitle format. Expected one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}` })
+      }
+      if (!job.lyrics || !job.musicDuration) {
+        return res.status(404).json({ error: 'Subtitles are not ready yet' })
+      }
+
+      res.type(format.contentType)
+      res.set('Content-Disposition', `inline; filename="${job.id}.${req.params.format}"`)
+      res.send(format.render(timeLyrics(job.lyrics, job.musicDuration)))
+    } catch (error) {
+      logger.error('Subtitles error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to build subtitles' 
+      })
+    }
+  })
+
+  // Live job progress as Server-Sent Events: a snapshot on connect, queue
+  // positions while waiting, then stage transitions, MiniMax poll results and
+  // a final `done` event
+  app.get('/api/jobs/:id/events', async (req, res) => {
+    try {
+      const { id } = req.params
+      if (!await findJob(req, id)) {
+        return res.status(404).json({ error: 'Job not found' })
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      })
+      res.flushHeaders()
+      res.write('retry: 3000\n\n')
+
+      const send = event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000)
+      const cleanup = () => {
+        clearInterval(heartbeat)
+        pipeline.events.off(id, listener)
+      }
+      const listener = event => {
+        send(event)
+        if (event.type === 'done') {
+          cleanup()
+          res.end()
+        }
+      }
+
+      // Subscribe before reading the snapshot so no transition slips between them
+      pipeline.events.on(id, listener)
+      req.on('close', cleanup)
+
+      const job = await jobs.get(id)
+      send({ type: 'snapshot', jobId: id, at: Date.now(), job: publicJob(job) })
+      if (['success', 'failed', 'cancelled'].includes(job.status)) {
+        listener({ type: 'done', jobId: id, at: Date.now(), job: toPublicJob(job) })
+      }
+    } catch (error) {
+      logger.error('Job events error', { error })
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message || 'Failed to stream job events' })
+      } else {
+        res.end()
+      }
+    }
+  })
+
+  // Finished openings, newest first, optionally filtered by theme
+  app.get('/api/openings', async (req, res) => {
+    try {
+      const page = parsePageParam('page', req.query.page, 1)
+      const limit = parsePageParam('limit', req.query.limit, OPENINGS_PAGE_SIZE, MAX_OPENINGS_PAGE_SIZE)
+      const error = page.error || limit.error
+      if (error) {
+        return res.status(400).json({ error })
+      }
+
+      const search = String(req.query.q || '').trim().toLowerCase()
+      const openings = (await jobs.list())
+        .filter(job => job.status === 'success' && canAccess(req, job))
+        .filter(job => !req.query.user || job.userId === req.query.user)
+        .filter(job => !search || job.theme.toLowerCase().includes(search))
+        .sort((a, b) => b.createdAt - a.createdAt)
+
+      res.json({
+        openings: openings.slice((page.value - 1) * limit.value, page.value * limit.value).map(toOpening),
+        total: openings.length,
+        page: page.value,
+        limit: limit.value
+      })
+    } catch (error) {
+      logger.error('Openings query error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to list openings' 
+      })
+    }
+  })
+
+  app.get('/api/openings/:id', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+
+      if (!job || job.status !== 'success') {
+        return res.status(404).json({ error: 'Opening not found' })
+      }
+
+      res.json(toOpening(job))
+    } catch (error) {
+      logger.error('Opening query error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to query opening' 
+      })
+    }
+  })
+
+  // Delete an opening along with its merged videos and uploaded frame
+  app.delete('/api/openings/:id', async (req, res) => {
+    try {
+      const job = await findJob(req, req.params.id)
+
+      if (!job || job.status !== 'success') {
+        return res.status(404).json({ error: 'Opening not found' })
+      }
+
+      await jobs.delete(job.id)
+      for (const version of [job, ...(job.revisions || [])]) {
+        if (version.merged && version.videoUrl?.startsWith('/api/output/')) {
+          fs.rmSync(path.join(merge.OUTPUT_DIR, path.basename(version.videoUrl)), { force: true })
+        }
+      }
+      if (job.upload?.path) {
+        fs.rmSync(job.upload.path, { force: true })
+      }
+
+      res.status(204).end()
+    } catch (error) {
+      logger.error('Opening delete error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to delete opening' 
+      })
+    }
+  })
+
+  // Global webhooks: an admin's get every job's events, anyone else's only
+  // their own jobs'
+  app.post('/api/webhooks', async (req, res) => {
+    try {
+      if (!webhooks.enabled) {
+        return res.status(400).json({ error: 'Webhooks are off; set WEBHOOK_SECRET to enable them' })
+      }
+      const { url } = req.body || {}
+      const urlError = webhooks.validateUrl(url, 'url')
+      if (urlError) {
+        return res.status(400).json({ error: urlError })
+      }
+
+      res.status(201).json(await webhooks.subscribe(url, req.user))
+    } catch (error) {
+      logger.error('Webhook registration error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to register webhook' 
+      })
+    }
+  })
+
+  app.get('/api/webhooks', async (req, res) => {
+    try {
+      const subscriptions = (await webhooks.subscriptions())
+        .filter(subscription => req.user.role === 'admin' || subscription.userId === req.user.id)
+      res.json({ enabled: webhooks.enabled, webhooks: subscriptions })
+    } catch (error) {
+      logger.error('Webhook query error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to list webhooks' 
+      })
+    }
+  })
+
+  // Delivery log, newest first, optionally for one job or delivery status.
+  // Everyone sees the deliveries to their own callbacks; admins see all.
+  app.get('/api/webhooks/deliveries', async (req, res) => {
+    try {
+      const page = parsePageParam('page', req.query.page, 1)
+      const limit = parsePageParam('limit', req.query.limit, DELIVERIES_PAGE_SIZE, MAX_DELIVERIES_PAGE_SIZE)
+      const error = page.error || limit.error
+      if (error) {
+        return res.status(400).json({ error })
+      }
+
+      const deliveries = await webhooks.deliveries(delivery =>
+        (req.user.role === 'admin' || delivery.userId === req.user.id) &&
+        (!req.query.jobId || delivery.jobId === req.query.jobId) &&
+        (!req.query.status || delivery.status === req.query.status))
+
+      res.json({
+        deliveries: deliveries.slice((page.value - 1) * limit.value, page.value * limit.value),
+        total: deliveries.length,
+        page: page.value,
+        limit: limit.value
+      })
+    } catch (error) {
+      logger.error('Webhook delivery query error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to list webhook deliveries' 
+      })
+    }
+  })
+
+  app.delete('/api/webhooks/:id', async (req, res) => {
+    try {
+      const subscription = (await webhooks.subscriptions()).find(candidate => candidate.id === req.params.id)
+      if (!subscription || (req.user.role !== 'admin' && subscription.userId !== req.user.id)) {
+        return res.status(404).json({ error: 'Webhook not found' })
+      }
+
+      await webhooks.unsubscribe(subscription.id)
+      res.status(204).end()
+    } catch (error) {
+      logger.error('Webhook delete error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to delete webhook' 
+      })
+    }
+  })
+
+  // Query task status
+  app.get('/api/status/:taskId', async (req, res) => {
+    try {
+      const { taskId } = req.params
+      const task = await findJob(req, taskId)
+
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' })
+      }
+
+      const status = summarizeStatus(task)
+
+      if (status === 'success') {
+        res.json({
+          status: 'success',
+          videoUrl: toPublicJob(task).videoUrl,
+          merged: task.merged,
+          mergeError: task.mergeError
+        })
+      } else if (status === 'failed') {
+        res.json({
+          status: 'failed',
+          error: task.error || 'Video generation failed'
+        })
+      } else if (status === 'queued') {
+        res.json({ status, ...pipeline.queueStatus(task.id) })
+      } else {
+        res.json({ status })
+      }
+    } catch (error) {
+      logger.error('Status query error', { error })
+      res.status(500).json({ 
+        error: error.message || 'Failed to query status' 
+      })
+    }
+  })
+
+  // Sign a UI user in with a session cookie
+  app.post('/api/auth/login', (req, res) => {
+    if (!auth.enabled) {
+      return res.status(400).json({ error: 'Authentication is not enabled' })
+    }
+    const { username, password } = req.body || {}
+    const session = auth.login(String(username || ''), String(password || ''))
+    if (!session) {
+      logger.warn('Failed sign-in', { username: String(username || '') })
+      return res.status(401).json({ error: 'Wrong username or password' })
+    }
+    res.cookie(SESSION_COOKIE, session.id, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: auth.sessionTtl })
+    res.json({ user: session.user })
+  })
+
+  app.post('/api/auth/logout', (req, res) => {
+    auth.logout(req)
+    res.clearCookie(SESSION_COOKIE)
+    res.status(204).end()
+  })
+
+  // Whether signing in is required, and who the caller is
+  app.get('/api/auth/me', (req, res) => {
+    res.json({ authRequired: auth.enabled, user: req.user })
+  })
+
+  // Run one health check; resolves with { ok } and what the check returned,
+  // or { ok: false, error }
+  async function check(probe) {
+    try {
+      return { ok: true, ...await probe() }
+    } catch (error) {
+      return { ok: false, error: error.message }
+    }
+  }
+
+  // Health check: whether the dependencies a job needs are usable. Without
+  // the job store, media or upload directories nothing works (HTTP 503);
+  // without ffmpeg or an API key the server is degraded.
+  app.get('/api/health', async (req, res) => {
+    const checks = {
+      minimax: apiKey ? { ok: true } : { ok: false, error: 'MINIMAX_API_KEY is not set' },
+      ffmpeg: await check(checkFfmpeg),
+      jobStore: await check(async () => { await jobs.list() }),
+      media: await check(() => fs.promises.access(media.dir, fs.constants.W_OK)),
+      uploads: await check(async () => {
+        await fs.promises.mkdir(uploadDir, { recursive: true })
+        await fs.promises.access(uploadDir, fs.constants.W_OK)
+      })
+    }
+    const critical = ['jobStore', 'media', 'uploads'].every(name => checks[name].ok)
+    const status = !critical ? 'error' : Object.values(checks).every(result => result.ok) ? 'ok' : 'degraded'
+    res.status(critical ? 200 : 503).json({ status, apiKeyConfigured: !!apiKey, checks })
+  })
+
+  // Upload errors from multer, e.g. a file over the size limit
+  app.use((error, req, res, next) => {
+    if (!(error instanceof multer.MulterError)) {
+      return next(error)
+    }
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE'
+    res.status(tooLarge ? 413 : 400).json({
+      error: tooLarge ? `Images must be under ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` : error.message
+    })
+  })
+
+  app.locals.jobs = jobs
+  app.locals.media = media
+  app.locals.pipeline = pipeline
+  app.locals.webhooks = webhooks
+  return app
+}
+
+module.exports = { createApp, UPLOAD_DIR }
@@ -0,0 +1,129 @@
+const crypto = require('crypto')
+
+// Authentication configuration. API_TOKENS and AUTH_USERS are comma-separated
+// `name:secret` pairs; append `:admin` to make one an admin. Tokens are sent
+// as `Authorization: Bearer <token>`; users sign in to the UI with a
+// password, in plain text or as a hash from `npm run hash-password`.
+// With neither set, authentication is off.
+const API_TOKENS = process.env.API_TOKENS || ''
+const AUTH_USERS = process.env.AUTH_USERS || ''
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 24
+
+const ROLES = ['user', 'admin']
+const SESSION_COOKIE = 'session'
+
+// Compare two strings in constant time
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest()
+  return crypto.timingSafeEqual(digest(a), digest(b))
+}
+
+// Hash a password for AUTH_USERS
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 32).toString('hex')}`
+}
+
+// Check a password against its configured value, hashed or not
+function verifyPassword(password, stored) {
+  const [scheme, salt] = stored.split('$')
+  if (scheme === 'scrypt' && salt) {
+    return safeEqual(hashPassword(password, salt), stored)
+  }
+  return safeEqual(password, stored)
+}
+
+// Parse API_TOKENS or AUTH_USERS into [{ id, secret, role }]. Throws on a
+// malformed entry so a typo doesn't leave the server open.
+function parseCredentials(value, label) {
+  return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const parts = entry.split(':')
+    const role = parts.length > 2 && ROLES.includes(parts.at(-1)) ? parts.pop() : 'user'
+    const [id, ...secret] = parts
+    if (!/^[\w.@-]+$/.test(id || '') || !secret.join(':')) {
+      throw new Error(`${label} entries must look like name:secret or name:secret:admin`)
+    }
+    return { id, secret: secret.join(':'), role }
+  })
+}
+
+// Read cookies from a Cookie header
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(pair => pair.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]))
+}
+
+// Token and session authentication. `identify` resolves a request to
+// { id, role } or null.
+function createAuth({
+  tokens = parseCredentials(API_TOKENS, 'API_TOKENS'),
+  users = parseCredentials(AUTH_USERS, 'AUTH_USERS'),
+  sessionTtl = SESSION_TTL_HOURS * 60 * 60 * 1000
+} = {}) {
+  const sessions = new Map()
+  // Checked when the user name is unknown, so a miss takes as long as a hit
+  const decoy = hashPassword(crypto.randomBytes(16).toString('hex'))
+
+  function session(req) {
+    const id = parseCookies(req.get('Cookie'))[SESSION_COOKIE]
+    const found = id && sessions.get(id)
+    if (found && found.expiresAt < Date.now()) {
+      sessions.delete(id)
+      return null
+    }
+    return found ? { id, ...found } : null
+  }
+
+  return {
+    enabled: tokens.length > 0 || users.length > 0,
+    sessionTtl,
+
+    identify(req) {
+      const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1]
+      if (bearer) {
+        const token = tokens.find(candidate => safeEqual(candidate.secret, bearer))
+        return token ? { id: token.id, role: token.role } : null
+      }
+      return session(req)?.user || null
+    },
+
+    // Start a session for a UI user; resolves with { id, user } or null
+    login(username, password) {
+      const user = users.find(candidate => candidate.id === username)
+      if (!verifyPassword(password, user ? user.secret : decoy) || !user) {
+        return null
+      }
+      const id = crypto.randomBytes(32).toString('hex')
+      const entry = { user: { id: user.id, role: user.role }, expiresAt: Date.now() + sessionTtl }
+      sessions.set(id, entry)
+      return { id, user: entry.user }
+    },
+
+    logout(req) {
+      const current = session(req)
+      if (current) {
+        sessions.delete(current.id)
+      }
+    }
+  }
+}
+
+// `npm run hash-password -- <password>` prints a hash for AUTH_USERS
+if (require.main === module) {
+  const password = process.argv[2]
+  if (!password) {
+    console.error('Usage: npm run hash-password -- <password>')
+    process.exit(1)
+  }
+  console.log(hashPassword(password))
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  createAuth,
+  hashPassword,
+  parseCookies,
+  parseCredentials,
+  verifyPassword
+}
@@ -0,0 +1,518 @@
+// Headless batch generation: run every theme in a JSON or CSV manifest
+// through the same routes the web UI uses, and write each opening's video,
+// song, lyrics and metadata to its own directory.
+// Run with `npm run batch -- manifest.csv --out openings`.
+require('dotenv').config()
+
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+const { OPTION_SCHEMA } = require('./options')
+const { createLimiter } = require('./queue')
+
+const USAGE = `Usage: npm run batch -- <manifest.json|manifest.csv> [options]
+
+Options:
+  --out <dir>             Where to write the openings (default: batch-output)
+  --server <url>          Use a running server instead of starting one in-process
+  --concurrency <n>       Entries in flight at once (default: 2)
+  --dry-run               Print what the manifest would cost and exit
+  --force                 Run entries again even if they already finished
+  --poll-interval <ms>    How often to check on a job (default: 2000)
+  --token <token>         API token for a server with authentication on
+                          (default: the API_TOKEN environment variable)
+  --help                  Show this message`
+
+// Manifest fields besides the generation options (see options.js)
+const ENTRY_FIELDS = ['id', 'theme', 'image', 'preset', 'scenes', 'sceneCount', 'lyrics', 'burnSubtitles', 'options']
+
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Split CSV text into rows of fields. Quoted fields may contain commas,
+// newlines and doubled quotes.
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()))
+}
+
+// Turn CSV rows into manifest entries. Empty cells are left out, `scenes`
+// lists shots separated by `|`, and option columns are typed like the schema.
+function csvToEntries(rows) {
+  const [header = [], ...records] = rows
+  const columns = header.map(name => name.trim())
+
+  return records.map(cells => {
+    const entry = {}
+    columns.forEach((name, i) => {
+      const value = (cells[i] || '').trim()
+      if (!value) {
+        return
+      }
+      if (name === 'scenes') {
+        entry.scenes = value.split('|').map(shot => shot.trim()).filter(Boolean)
+      } else if (name === 'sceneCount' || typeof OPTION_SCHEMA[name]?.default === 'number') {
+        entry[name] = Number(value)
+      } else if (name === 'burnSubtitles') {
+        entry.burnSubtitles = value === 'true'
+      } else {
+        entry[name] = value
+      }
+    })
+    return entry
+  })
+}
+
+// "Epic battle, at dawn!" → "epic-battle-at-dawn"
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)
+}
+
+// Check an entry and fill in its ID and image path. Generation options may
+// sit in `options` or next to the other fields. The server validates the
+// values themselves.
+function normalizeEntry(raw, index, baseDir) {
+  const label = `Entry ${index + 1}`
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object`)
+  }
+  const unknown = Object.keys(raw).filter(name => !ENTRY_FIELDS.includes(name) && !OPTION_SCHEMA[name])
+  if (unknown.length) {
+    throw new Error(`${label} has unknown fields: ${unknown.join(', ')}`)
+  }
+  if (typeof raw.theme !== 'string' || !raw.theme.trim()) {
+    throw new Error(`${label} needs a theme`)
+  }
+
+  const options = { ...raw.options }
+  for (const name of Object.keys(OPTION_SCHEMA)) {
+    if (raw[name] !== undefined) {
+      options[name] = raw[name]
+    }
+  }
+
+  const image = raw.image ? path.resolve(baseDir, raw.image) : undefined
+  if (image && !fs.existsSync(image)) {
+    throw new Error(`${label}: image ${raw.image} not found`)
+  }
+  if (image && !IMAGE_TYPES[path.extname(image).toLowerCase()]) {
+    throw new Error(`${label}: image ${raw.image} must be a PNG, JPEG or WebP file`)
+  }
+
+  const id = slugify(String(raw.id || '')) || `${String(index + 1).padStart(3, '0')}-${slugify(raw.theme)}`
+  return {
+    id,
+    theme: raw.theme.trim(),
+    image,
+    preset: raw.preset,
+    scenes: raw.scenes,
+    sceneCount: raw.sceneCount,
+    lyrics: raw.lyrics,
+    burnSubtitles: raw.burnSubtitles,
+    options
+  }
+}
+
+// Read a manifest: a JSON array of entries (or `{ "entries": [...] }`), or a
+// CSV file with a header row
+function readManifest(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8')
+  let raw
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    raw = csvToEntries(parseCsv(text))
+  } else {
+    const parsed = JSON.parse(text)
+    raw = Array.isArray(parsed) ? parsed : parsed.entries
+  }
+  if (!Array.isArray(raw) || !raw.length) {
+    throw new Error('The manifest has no entries')
+  }
+
+  const entries = raw.map((entry, i) => normalizeEntry(entry, i, path.dirname(filePath)))
+  const ids = entries.map(entry => entry.id)
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i)
+  if (duplicate) {
+    throw new Error(`Two entries share the ID "${duplicate}"`)
+  }
+  return entries
+}
+
+// Client for the server's API
+function createClient(baseUrl, token) {
+  // Every call carries the API token, when there is one
+  const send = (url, init = {}) => fetch(new URL(url, baseUrl), {
+    ...init,
+    headers: { ...init.headers, ...(token && { Authorization: `Bearer ${token}` }) }
+  })
+
+  async function request(route, init) {
+    const response = await send(route, init)
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const error = new Error(data.error || `${route} returned HTTP ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+    return data
+  }
+
+  return {
+    estimate(entry) {
+      return request('/api/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          preset: entry.preset,
+          options: entry.options,
+          scenes: entry.scenes,
+          sceneCount: entry.sceneCount,
+          lyrics: entry.lyrics,
+          hasImage: Boolean(entry.image)
+        })
+      })
+    },
+
+    usage() {
+      return request('/api/usage')
+    },
+
+    // Start a job exactly as the web UI's form does
+    generate(entry) {
+      const form = new FormData()
+      form.append('theme', entry.theme)
+      if (entry.preset) form.append('preset', entry.preset)
+      if (Object.keys(entry.options).length) form.append('options', JSON.stringify(entry.options))
+      if (entry.scenes) form.append('scenes', JSON.stringify(entry.scenes))
+      if (entry.sceneCount) form.append('sceneCount', String(entry.sceneCount))
+      if (entry.lyrics) form.append('lyrics', entry.lyrics)
+      if (entry.burnSubtitles !== undefined) form.append('burnSubtitles', String(entry.burnSubtitles))
+      if (entry.image) {
+        const type = IMAGE_TYPES[path.extname(entry.image).toLowerCase()]
+        form.append('image', new Blob([fs.readFileSync(entry.image)], { type }), path.basename(entry.image))
+      }
+      return request('/api/generate', { method: 'POST', body: form })
+    },
+
+    status(jobId) {
+      return request(`/api/status/${jobId}`)
+    },
+
+    job(jobId) {
+      return request(`/api/jobs/${jobId}`)
+    },
+
+    // Save a URL the API returned (relative ones are on the server) to a file
+    async download(url, destination) {
+      const response = await send(url)
+      if (!response.ok) {
+        throw new Error(`Download of ${url} failed with HTTP ${response.status}`)
+      }
+      fs.writeFileSync(destination, Buffer.from(await response.arrayBuffer()))
+      return path.basename(destination)
+    },
+
+    async text(url) {
+      const response = await send(url)
+      return response.ok ? response.text() : null
+    }
+  }
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+// File extension of an asset URL, e.g. "mp3" for ".../song.mp3?sig=..."
+function extensionOf(url, fallback) {
+  const extension = path.extname(new URL(url, 'http://localhost').pathname).slice(1)
+  return extension || fallback
+}
+
+// Run a manifest. Entries whose metadata says they finished are skipped
+// unless `force` is set, so an interrupted batch picks up where it left off;
+// a job that was still running on `baseUrl` is followed rather than started
+// again. Resolves with each entry's final metadata.
+async function runBatch({ entries, outDir, baseUrl, token, concurrency = 2, force = false, pollInterval = 2000, log = console.log }) {
+  const client = createClient(baseUrl, token)
+  const limiter = createLimiter(concurrency)
+  fs.mkdirSync(outDir, { recursive: true })
+
+  // Poll /api/status until the job settles, reporting queue and stage changes
+  async function follow(entry, jobId) {
+    let last = null
+    for (;;) {
+      const status = await client.status(jobId)
+      const summary = status.status === 'queued' ? `queued, position ${status.position}` : status.status
+      if (summary !== last) {
+        log(`[${entry.id}] ${summary}`)
+        last = summary
+      }
+      if (['success', 'failed', 'cancelled'].includes(status.status)) {
+        return client.job(jobId)
+      }
+      await sleep(pollInterval)
+    }
+  }
+
+  // Download everything worth keeping from a finished job
+  async function saveAssets(job, dir) {
+    const files = {
+      video: await client.download(job.videoUrl, path.join(dir, 'video.mp4'))
+    }
+    if (job.musicUrl) {
+      files.audio = await client.download(job.musicUrl, path.join(dir, `audio.${extensionOf(job.musicUrl, 'mp3')}`))
+    }
+    if (job.imageUrl && !job.imageUrl.startsWith('data:')) {
+      files.image = await client.download(job.imageUrl, path.join(dir, `image.${extensionOf(job.imageUrl, 'png')}`))
+    }
+    if (job.lyrics) {
+      fs.writeFileSync(path.join(dir, 'lyrics.txt'), job.lyrics + '\n')
+      files.lyrics = 'lyrics.txt'
+      const subtitles = await client.text(`/api/jobs/${job.id}/subtitles.srt`)
+      if (subtitles) {
+        fs.writeFileSync(path.join(dir, 'lyrics.srt'), subtitles)
+        files.subtitles = 'lyrics.srt'
+      }
+    }
+    return files
+  }
+
+  async function runEntry(entry) {
+    const dir = path.join(outDir, entry.id)
+    const metadataPath = path.join(dir, 'metadata.json')
+    const previous = readJson(metadataPath)
+    if (!force && previous?.status === 'success') {
+      log(`[${entry.id}] already done, skipping`)
+      return { ...previous, skipped: true }
+    }
+
+    fs.mkdirSync(dir, { recursive: true })
+    const metadata = { id: entry.id, theme: entry.theme, entry: { ...entry, image: entry.image && path.basename(entry.image) } }
+    const save = patch => {
+      Object.assign(metadata, patch, { updatedAt: new Date().toISOString() })
+      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2) + '\n')
+      return metadata
+    }
+
+    try {
+      let jobId = null
+      if (!force && previous?.status === 'submitted' && previous.jobId) {
+        // Only a job the server doesn't know is started again; any other
+        // error leaves it to be followed next time
+        jobId = await client.job(previous.jobId).then(job => job.id, error => {
+          if (error.status === 404) {
+            return null
+          }
+          throw error
+        })
+        if (jobId) {
+          log(`[${entry.id}] following job ${jobId} from the last run`)
+          save({ jobId, estimate: previous.estimate, status: 'submitted' })
+        }
+      }
+      if (!jobId) {
+        const started = await client.generate(entry)
+        jobId = started.jobId
+        log(`[${entry.id}] started job ${jobId} (estimated $${started.estimate.total.toFixed(2)})`)
+        save({ jobId, estimate: started.estimate, status: 'submitted', error: undefined })
+      }
+
+      const job = await follow(entry, jobId)
+      const details = {
+        preset: job.preset,
+        options: job.options,
+        scenes: job.scenes?.map(scene => scene.description),
+        lyricsSource: job.lyricsSource,
+        merged: job.merged,
+        mergeError: job.mergeError,
+        duration: job.duration,
+        createdAt: job.createdAt
+      }
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        const error = job.error || 'Cancelled'
+        log(`[${entry.id}] failed: ${error}`)
+        return save({ ...details, status: 'failed', error })
+      }
+
+      const files = await saveAssets(job, dir)
+      log(`[${entry.id}] saved to ${dir}`)
+      return save({ ...details, status: 'success', files })
+    } catch (error) {
+      // A job that was started may still finish, e.g. after the server
+      // restarts; the next run follows it rather than paying for another
+      const jobId = metadata.jobId || (!force && previous?.status === 'submitted' ? previous.jobId : undefined)
+      if (jobId) {
+        log(`[${entry.id}] lost track of job ${jobId}: ${error.message}. The next run follows it`)
+        return save({ jobId, estimate: metadata.estimate || previous?.estimate, status: 'submitted', error: error.message })
+      }
+      log(`[${entry.id}] failed: ${error.message}`)
+      return save({ status: 'failed', error: error.message })
+    }
+  }
+
+  return Promise.all(entries.map(entry => limiter.run(() => runEntry(entry))))
+}
+
+// Estimate every entry that would run, without generating anything
+async function estimateBatch({ entries, outDir, baseUrl, token, force = false, log = console.log }) {
+  const client = createClient(baseUrl, token)
+  const pending = entries.filter(entry => force || readJson(path.join(outDir, entry.id, 'metadata.json'))?.status !== 'success')
+  let total = 0
+  const errors = []
+
+  for (const entry of pending) {
+    try {
+      const estimate = await client.estimate(entry)
+      total += estimate.total
+      const items = estimate.items.map(item => `${item.count} × ${item.kind}`).join(', ')
+      log(`${entry.id.padEnd(44)} $${estimate.total.toFixed(2).padStart(7)}  ${items}`)
+    } catch (error) {
+      errors.push(entry.id)
+      log(`${entry.id.padEnd(44)} invalid: ${error.message}`)
+    }
+  }
+
+  const skipped = entries.length - pending.length
+  log(`\n${pending.length} to run${skipped ? `, ${skipped} already done` : ''}. Estimated total: $${total.toFixed(2)}`)
+
+  const { budgets, today } = await client.usage()
+  if (budgets.daily) {
+    const left = budgets.daily - today.cost - budgets.reserved
+    log(`Daily budget: $${left.toFixed(2)} of $${budgets.daily.toFixed(2)} left${total > left ? ' - this batch would go over it' : ''}`)
+  }
+  return { total, errors }
+}
+
+// Start the app in-process on a free port, with jobs kept in memory
+async function startLocalServer() {
+  const { createApp } = require('./app')
+  const { createMemoryStore } = require('./store')
+  const { createAuth } = require('./auth')
+  // It listens on localhost for this run only, so it asks for no credentials
+  const app = createApp({ jobs: createMemoryStore(), auth: createAuth({ tokens: [], users: [] }) })
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', default: 'batch-output' },
+      server: { type: 'string' },
+      concurrency: { type: 'string', default: '2' },
+      'dry-run': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      'poll-interval': { type: 'string', default: '2000' },
+      token: { type: 'string', default: process.env.API_TOKEN },
+      help: { type: 'boolean', default: false }
+    }
+  })
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE)
+    return values.help ? 0 : 1
+  }
+  const concurrency = Number(values.concurrency)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a positive whole number')
+  }
+
+  const entries = readManifest(positionals[0])
+  const outDir = path.resolve(values.out)
+  const local = values.server ? null : await startLocalServer()
+  const baseUrl = values.server || local.url
+  const token = values.server ? values.token : undefined
+
+  try {
+    if (values['dry-run']) {
+      const { errors } = await estimateBatch({ entries, outDir, baseUrl, token, force: values.force })
+      return errors.length ? 1 : 0
+    }
+
+    const results = await runBatch({
+      entries,
+      outDir,
+      baseUrl,
+      token,
+      concurrency,
+      force: values.force,
+      pollInterval: Number(values['poll-interval']) || 2000
+    })
+    const count = status => results.filter(result => result.status === status && !result.skipped).length
+    const skipped = results.filter(result => result.skipped).length
+    const unfinished = count('submitted') ? `, ${count('submitted')} to follow on the next run` : ''
+    console.log(`\nDone: ${count('success')} succeeded, ${count('failed')} failed${unfinished}, ${skipped} skipped. Output in ${outDir}`)
+    return count('failed') || count('submitted') ? 1 : 0
+  } finally {
+    await local?.close()
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(code => { process.exitCode = code })
+    .catch(error => {
+      console.error(error.message)
+      process.exitCode = 1
+    })
+}
+
+module.exports = {
+  parseCsv,
+  readManifest,
+  runBatch,
+  estimateBatch
+}
@@ -0,0 +1,264 @@
+const fs = require('fs')
+const { setTimeout: delay } = require('timers/promises')
+const { BUILT_IN_PRESETS, DEFAULT_PRESET, renderTemplate } = require('./presets')
+const { createDefaultOptions } = require('./options')
+const { logger } = require('./logger')
+
+// How long an image task may take, counted from when it was submitted
+const IMAGE_POLL_TIMEOUT = Number(process.env.IMAGE_POLL_TIMEOUT) || 60 * 1000
+
+// Prompts come from a style preset; calls without one use the classic opening
+const CLASSIC = BUILT_IN_PRESETS.find(preset => preset.id === DEFAULT_PRESET)
+
+// Default lyrics fallback
+function getDefaultLyrics(theme) {
+  return `[Intro]
+(Oh~)
+This is our story now
+Let's begin tonight
+
+[Verse 1]
+In the darkness we stand together
+Forever bound by destiny
+The stars guide our way tonight
+As we chase our dreams
+
+[Pre-Chorus]
+Feel the fire in our hearts
+Nothing can tear us apart
+
+[Chorus]
+We are unstoppable
+Together we shine so bright
+With the power of our souls
+We'll keep fighting through the night
+
+[Verse 2]
+Memories fade but we'll remember
+Every moment that we've shared
+The journey continues on
+With hope we will persevere
+
+[Bridge]
+(One more time)
+We rise again
+(One more time)
+Until the end
+
+[Chorus]
+We are unstoppable
+Together we shine so bright
+With the power of our souls
+We'll keep fighting through the night
+
+[Outro]
+(This is our story...)
+Our story begins now...`
+}
+
+// Inline a local image as a base64 data URL
+function imageToDataUrl(imagePath, mimeType) {
+  const data = fs.readFileSync(imagePath)
+  return `data:${mimeType || 'image/png'};base64,${data.toString('base64')}`
+}
+
+// Longest lyrics the music model accepts
+const MAX_LYRICS_LENGTH = 3500
+
+// Stock shots used when the storyboard can't be planned by the text model
+const DEFAULT_SHOTS = [
+  'establishing wide shot of the world at dawn',
+  'close-up of the protagonist looking determined',
+  'the rival appears in silhouette',
+  'friends running together through the city',
+  'high-speed action sequence with dynamic camera',
+  'quiet emotional moment in the rain',
+  'dramatic sky as the title rises',
+  'final group pose facing the camera'
+]
+
+function getDefaultScenes(count) {
+  return Array.from({ length: count }, (_, i) => DEFAULT_SHOTS[i % DEFAULT_SHOTS.length])
+}
+
+// MiniMax-backed generation steps used by the pipeline. Each step takes a
+// `{ preset, options }` context; `defaults` fills in whatever it leaves out.
+function createGenerator(minimax, { imagePollInterval = 2000, imagePollTimeout = IMAGE_POLL_TIMEOUT, defaults = createDefaultOptions() } = {}) {
+  // Write a first draft for the user to review; errors reach the caller
+  async function draftLyrics(theme, { preset = CLASSIC } = {}) {
+    return minimax.generateLyrics({
+      mode: 'write_full_song',
+      prompt: renderTemplate(preset.prompts.lyrics, { theme })
+    })
+  }
+
+  // Revise a draft with the lyrics API's edit mode
+  async function editLyrics(lyrics, instructions) {
+    return minimax.generateLyrics({
+      mode: 'edit',
+      lyrics,
+      prompt: instructions
+    })
+  }
+
+  // Generate lyrics based on theme
+  async function generateLyrics(theme, context) {
+    try {
+      const { lyrics } = await draftLyrics(theme, context)
+      return lyrics || getDefaultLyrics(theme)
+    } catch (error) {
+      logger.warn('Lyrics generation error', { error })
+      return getDefaultLyrics(theme)
+    }
+  }
+
+  // Generate music based on theme and lyrics
+  async function generateMusic(theme, lyrics, { preset = CLASSIC, options = defaults } = {}) {
+    return minimax.generateMusic({
+      model: options.musicModel,
+      prompt: renderTemplate(preset.prompts.music, { theme }),
+      lyrics: lyrics,
+      audio_setting: {
+        sample_rate: options.sampleRate,
+        bitrate: options.bitrate,
+        format: 'mp3'
+      },
+      output_format: 'url'
+    })
+  }
+
+  // Host an uploaded first frame with MiniMax. Resolves with its URL, or
+  // null when the upload endpoint doesn't give one back and the image has
+  // to be inlined (see inlineImage).
+  async function hostUploadedImage(file) {
+    try {
+      const { fileUrl } = await minimax.uploadFile(file.path, 'video_generation')
+      return fileUrl || null
+    } catch (error) {
+      logger.warn('File upload failed, inlining image instead', { error })
+      return null
+    }
+  }
+
+  // A local image as a data URL for a MiniMax request. It is too big to
+  // keep anywhere else, so only the request body should carry it.
+  function inlineImage(filePath, mimeType) {
+    return imageToDataUrl(filePath, mimeType)
+  }
+
+  // Generate video from image (the image is used as the first frame)
+  async function generateVideo(imageUrl, theme, { preset = CLASSIC, options = defaults } = {}) {
+    const prompt = renderTemplate(preset.prompts.video, { theme })
+
+    const response = await minimax.generateVideo({
+      model: options.videoModel,
+      prompt: prompt,
+      first_frame_image: imageUrl,
+      duration: options.videoDuration,
+      resolution: options.videoResolution
+    })
+    logger.info('Video generation task', { taskId: response.taskId })
+    return response
+  }
+
+  // Query video generation status
+  async function queryVideoStatus(taskId) {
+    return minimax.queryVideo(taskId)
+  }
+
+  // Generate image from text (for video generation)
+  async function generateImage(prompt, options = defaults) {
+    return minimax.generateImage({
+      model: options.imageModel,
+      prompt: prompt,
+      num_images: 1,
+      image_setting: {
+        resolution: options.imageResolution
+      }
+    })
+  }
+
+  // Generate a first frame from the theme and poll until it is ready, until
+  // `signal` is aborted or until the task is abandoned. An image task is
+  // announced through `onTask` so it can be saved, and a saved `task`
+  // ({ taskId, submittedAt }) is polled instead of submitting a new one.
+  async function generateImageFromTheme(theme, onPoll, { preset = CLASSIC, options = defaults, signal, task, onTask } = {}) {
+    if (!task) {
+      const imageResult = await generateImage(renderTemplate(preset.prompts.image, { theme }), options)
+
+      // image-01 usually answers with the URLs straight away
+      if (imageResult.imageUrls[0] || !imageResult.taskId) {
+        return imageResult.imageUrls[0] || null
+      }
+      task = { taskId: imageResult.taskId, submittedAt: Date.now() }
+      await onTask?.(task)
+    }
+
+    // Poll for image to get the URL
+    const deadline = (task.submittedAt || Date.now()) + imagePollTimeout
+    for (let i = 0; Date.now() < deadline; i++) {
+      await delay(imagePollInterval, undefined, { signal })
+      try {
+        const statusResult = await minimax.queryImage(task.taskId)
+        onPoll?.({ taskId: task.taskId, attempt: i + 1, status: statusResult.status })
+        if (statusResult.status === 'success') {
+          return statusResult.imageUrl
+        }
+        if (statusResult.status === 'failed') {
+          return null
+        }
+      } catch (e) {
+        logger.warn('Image status check error', { error: e })
+      }
+    }
+    logger.warn('Image task abandoned', { taskId: task.taskId })
+    return null
+  }
+
+  // Split the theme into shot descriptions with the text model
+  async function planScenes(theme, count) {
+    try {
+      const { content } = await minimax.chat({
+        model: 'MiniMax-M2.5',
+        messages: [{
+          role: 'user',
+          content: `Plan the storyboard for an anime opening about: ${theme}. ` +
+            `Write exactly ${count} shots in order, each a one-sentence visual description. ` +
+            'Reply with only a JSON array of strings.'
+        }],
+        max_tokens: 2000
+      })
+      const shots = JSON.parse(content?.match(/\[[\s\S]*\]/)?.[0] || '[]')
+        .filter(shot => typeof shot === 'string' && shot.trim())
+      if (shots.length >= count) {
+        return shots.slice(0, count)
+      }
+      logger.warn('Scene planning returned too few shots, using defaults', { count, planned: shots.length })
+    } catch (error) {
+      logger.warn('Scene planning error', { error })
+    }
+    return getDefaultScenes(count)
+  }
+
+  return {
+    planScenes,
+    draftLyrics,
+    editLyrics,
+    generateLyrics,
+    generateMusic,
+    hostUploadedImage,
+    inlineImage,
+    generateVideo,
+    queryVideoStatus,
+    generateImage,
+    generateImageFromTheme
+  }
+}
+
+module.exports = {
+  MAX_LYRICS_LENGTH,
+  createGenerator,
+  getDefaultLyrics,
+  getDefaultScenes,
+  imageToDataUrl
+}
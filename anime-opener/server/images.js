@@ -0,0 +1,105 @@
+const fs = require('fs')
+const path = require('path')
+const { FFMPEG_PATH, run } = require('./merge')
+
+// How an upload is fitted to the video frame:
+// - crop: fill the frame and cut off what sticks out
+// - pad: fit inside the frame and fill the rest with black
+const UPLOAD_FITS = ['crop', 'pad']
+const UPLOAD_FIT = UPLOAD_FITS.includes(process.env.UPLOAD_FIT) ? process.env.UPLOAD_FIT : 'crop'
+
+// Frame the video model renders at each resolution (16:9). Uploads are
+// resized to this so the first frame isn't reframed by the model.
+const FRAME_SIZES = {
+  '512P': { width: 912, height: 512 },
+  '720P': { width: 1280, height: 720 },
+  '768P': { width: 1366, height: 768 },
+  '1080P': { width: 1920, height: 1080 }
+}
+
+// Identify an image from its first bytes. Returns the content type of a
+// PNG, JPEG or WebP image, or null for anything else.
+function sniffImageType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png'
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg'
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp'
+  }
+  return null
+}
+
+// Read the first bytes of a file and sniff its type
+async function sniffFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r')
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0)
+    return sniffImageType(buffer.subarray(0, bytesRead))
+  } finally {
+    await handle.close()
+  }
+}
+
+// Reduce a client-supplied file name to a safe base name: no directories,
+// only letters, digits, dots, dashes and underscores
+function sanitizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[.-]+|[.-]+$/g, '')
+    .slice(0, 100)
+  return base || 'image'
+}
+
+// Build the ffmpeg arguments that turn an upload into a first frame of
+// `width`x`height`. Re-encoding drops EXIF (including GPS) and other metadata.
+function buildFrameArgs({ inputPath, outputPath, width, height, fit = UPLOAD_FIT }) {
+  const filters = fit === 'pad'
+    ? [
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`
+    ]
+    : [
+      `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+      `crop=${width}:${height}`
+    ]
+
+  return [
+    '-y',
+    '-i', inputPath,
+    '-map_metadata', '-1',
+    '-vf', [...filters, 'setsar=1'].join(','),
+    '-frames:v', '1',
+    '-pix_fmt', 'yuvj420p',
+    '-q:v', '2',
+    outputPath
+  ]
+}
+
+// Resize an upload to the frame for `resolution` and save it as a JPEG next
+// to the original, which is removed. Resolves with the processed file.
+async function prepareFrame(filePath, { resolution = '720P', fit = UPLOAD_FIT } = {}) {
+  const { width, height } = FRAME_SIZES[resolution] || FRAME_SIZES['720P']
+  const outputPath = `${filePath.replace(/\.[^./\\]*$/, '')}-frame.jpg`
+
+  await run(FFMPEG_PATH, buildFrameArgs({ inputPath: filePath, outputPath, width, height, fit }))
+  if (outputPath !== filePath) {
+    await fs.promises.rm(filePath, { force: true })
+  }
+  return { path: outputPath, mimetype: 'image/jpeg', width, height, fit }
+}
+
+module.exports = {
+  FRAME_SIZES,
+  UPLOAD_FIT,
+  UPLOAD_FITS,
+  buildFrameArgs,
+  prepareFrame,
+  sanitizeFilename,
+  sniffFile,
+  sniffImageType
+}
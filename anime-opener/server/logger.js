@@ -0,0 +1,110 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+// Logging configuration: the lowest level written, or `silent` for none
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+const LOG_LEVEL = process.env.LOG_LEVEL in LOG_LEVELS ? process.env.LOG_LEVEL : 'info'
+
+// Keys whose values are never logged
+const SECRET_KEYS = /^(authorization|cookie|set-cookie|api[-_]?key|.*token|.*secret|password|signature)$/i
+// Query parameters that sign or authorize a URL, as on MiniMax asset links
+const SIGNED_PARAMS = /^(signature|sig|token|expires|x-amz-[\w-]+|x-oss-[\w-]+|ossaccesskeyid|accesskeyid|policy|auth_key)$/i
+// Longest string logged in full
+const MAX_STRING_LENGTH = 2000
+
+// The job and request the code running in the current async flow belongs to
+const logContext = new AsyncLocalStorage()
+
+// Drop the query of a URL that carries a signature, keeping where it points
+function redactUrl(value) {
+  let url
+  try {
+    url = new URL(value)
+  } catch {
+    return value
+  }
+  if (![...url.searchParams.keys()].some(key => SIGNED_PARAMS.test(key))) {
+    return value
+  }
+  return `${url.origin}${url.pathname}?[REDACTED]`
+}
+
+// Copy a value with secrets, signed URLs and bulky data removed. `secrets`
+// are literal strings (such as the API key) masked wherever they appear.
+function redact(value, secrets = [], depth = 0) {
+  if (typeof value === 'string') {
+    let text = value
+    for (const secret of secrets) {
+      if (secret) {
+        text = text.split(secret).join('[REDACTED]')
+      }
+    }
+    text = text.replace(/\bBearer\s+[^\s"']+/gi, 'Bearer [REDACTED]')
+    text = text.replace(/^data:([^;,]+)?(;base64)?,.*$/s, (match, type) => `data:${type || ''} (${match.length} chars)`)
+    text = text.replace(/https?:\/\/[^\s"'<>]+/g, redactUrl)
+    return text.length > MAX_STRING_LENGTH ? `${text.slice(0, MAX_STRING_LENGTH)}… (${text.length} chars)` : text
+  }
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, status: value.status }, secrets, depth)
+  }
+  if (!value || typeof value !== 'object') {
+    return value
+  }
+  if (depth >= 6) {
+    return '[…]'
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets, depth + 1))
+  }
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => [key, SECRET_KEYS.test(key) ? '[REDACTED]' : redact(item, secrets, depth + 1)]))
+}
+
+// Structured logger writing one JSON object per line, tagged with the
+// current job and request IDs
+function createLogger({ level = LOG_LEVEL, secrets = [process.env.MINIMAX_API_KEY], write = line => process.stdout.write(line) } = {}) {
+  let threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info
+
+  function log(entryLevel, message, fields = {}) {
+    if (LOG_LEVELS[entryLevel] < threshold) {
+      return
+    }
+    const entry = redact({ time: new Date().toISOString(), level: entryLevel, msg: message, ...logContext.getStore(), ...fields }, secrets)
+    write(JSON.stringify(entry) + '\n')
+  }
+
+  return {
+    get level() {
+      return level
+    },
+
+    setLevel(name) {
+      level = name
+      threshold = LOG_LEVELS[name] ?? LOG_LEVELS.info
+    },
+
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+
+    // Run `fn` with `fields` added to every entry logged inside it,
+    // including from callbacks and promises it starts
+    withContext(fields, fn) {
+      return logContext.run({ ...logContext.getStore(), ...fields }, fn)
+    },
+
+    context() {
+      return logContext.getStore() || {}
+    }
+  }
+}
+
+const logger = createLogger()
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  logger,
+  redact
+}
@@ -0,0 +1,183 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { Readable } = require('stream')
+const axios = require('axios')
+const { logger } = require('./logger')
+
+// Media configuration: generated assets are copied here as soon as they are
+// ready, because the MiniMax URLs they come from expire
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'media')
+// How long cached media is kept, in days; 0 keeps it as long as a job uses it
+const MEDIA_RETENTION_DAYS = Number(process.env.MEDIA_RETENTION_DAYS) || 0
+// How long uploaded images are kept, in hours
+const UPLOAD_RETENTION_HOURS = Number(process.env.UPLOAD_RETENTION_HOURS) || 1
+const CLEANUP_INTERVAL_MINUTES = Number(process.env.CLEANUP_INTERVAL_MINUTES) || 60
+
+// Cached files no job refers to any more, e.g. from a deleted opening, are
+// removed once they are this old; younger ones may belong to a running job
+const ORPHAN_GRACE = 60 * 60 * 1000
+
+// File extensions for the content types MiniMax returns
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+}
+
+// Media file names: the SHA-256 of the content plus an extension
+const MEDIA_NAME = /^[a-f0-9]{64}\.[a-z0-9]+$/
+
+// Public URL of a cached file
+function mediaUrl(name) {
+  return `/media/${name}`
+}
+
+// Pick an extension from the content type, falling back to the URL's
+function extensionFor(contentType, source) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase()
+  if (EXTENSIONS[type]) {
+    return EXTENSIONS[type]
+  }
+  const fromPath = /^https?:/.test(source) ? path.extname(new URL(source).pathname) : path.extname(source)
+  return /^\.[a-z0-9]{1,5}$/i.test(fromPath) ? fromPath.slice(1).toLowerCase() : 'bin'
+}
+
+// Open a readable stream over a source: an http(s) URL, a data: URL or a local file
+async function openSource(source, contentType) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await axios.get(source, { responseType: 'stream', timeout: 120000 })
+    return { stream: response.data, contentType: contentType || response.headers['content-type'] }
+  }
+  const dataUrl = source.match(/^data:([^;,]+)?(;base64)?,(.*)$/s)
+  if (dataUrl) {
+    const body = Buffer.from(dataUrl[3], dataUrl[2] ? 'base64' : 'utf8')
+    return { stream: Readable.from([body]), contentType: contentType || dataUrl[1] }
+  }
+  return { stream: fs.createReadStream(source), contentType }
+}
+
+// Content-addressed store of downloaded media. Saving the same content twice
+// keeps one file.
+function createMediaStore({ dir = MEDIA_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true })
+
+  return {
+    dir,
+
+    // Copy a source into the store; resolves with the file name
+    async save(source, { contentType } = {}) {
+      const opened = await openSource(source, contentType)
+      const tempPath = path.join(dir, `.download-${crypto.randomUUID()}`)
+      const hash = crypto.createHash('sha256')
+
+      try {
+        await new Promise((resolve, reject) => {
+          const writer = fs.createWriteStream(tempPath)
+          opened.stream.on('data', chunk => hash.update(chunk))
+          opened.stream.on('error', reject)
+          writer.on('error', reject)
+          writer.on('finish', resolve)
+          opened.stream.pipe(writer)
+        })
+
+        const name = `${hash.digest('hex')}.${extensionFor(opened.contentType, source)}`
+        const filePath = path.join(dir, name)
+        if (fs.existsSync(filePath)) {
+          // Already stored; touch it so retention counts from now
+          const now = new Date()
+          fs.utimesSync(filePath, now, now)
+        } else {
+          fs.renameSync(tempPath, filePath)
+        }
+        return name
+      } finally {
+        fs.rmSync(tempPath, { force: true })
+      }
+    },
+
+    // Absolute path of a stored file, or null for names that aren't media
+    path(name) {
+      return MEDIA_NAME.test(name) ? path.join(dir, name) : null
+    },
+
+    // Delete files older than `retention` ms (0 for no limit), and files no
+    // job uses once they are past the grace period. Returns the names removed.
+    sweep({ retention = 0, inUse = new Set(), now = Date.now() } = {}) {
+      const removed = []
+      for (const name of fs.readdirSync(dir)) {
+        const filePath = path.join(dir, name)
+        const age = now - fs.statSync(filePath).mtimeMs
+        const expired = retention && age > retention
+        const orphaned = !inUse.has(name) && age > ORPHAN_GRACE
+        if (expired || orphaned) {
+          fs.rmSync(filePath, { force: true })
+          removed.push(name)
+        }
+      }
+      return removed
+    }
+  }
+}
+
+// Delete uploads older than `retention` ms, except the file names in `inUse`
+function sweepUploads(uploadDir, retention, now = Date.now(), inUse = new Set()) {
+  if (!fs.existsSync(uploadDir)) {
+    return []
+  }
+  const removed = []
+  for (const name of fs.readdirSync(uploadDir)) {
+    const filePath = path.join(uploadDir, name)
+    if (!inUse.has(name) && now - fs.statSync(filePath).mtimeMs > retention) {
+      fs.rmSync(filePath, { force: true })
+      removed.push(name)
+    }
+  }
+  return removed
+}
+
+// Periodically apply the media and upload retention settings. Media a
+// stored job still uses is kept unless it is past MEDIA_RETENTION_DAYS, and
+// the upload of a job that hasn't finished is always kept.
+function startCleanup({
+  media,
+  jobs,
+  uploadDir,
+  mediaRetention = MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  uploadRetention = UPLOAD_RETENTION_HOURS * 60 * 60 * 1000,
+  interval = CLEANUP_INTERVAL_MINUTES * 60 * 1000
+}) {
+  async function cleanup() {
+    try {
+      const records = await jobs.list()
+      const inUse = new Set(records.flatMap(job => Object.values(job.media || {})))
+      const removed = media.sweep({ retention: mediaRetention, inUse })
+      const pending = new Set(records
+        .filter(job => job.upload?.path && ['queued', 'running'].includes(job.status))
+        .map(job => path.basename(job.upload.path)))
+      const uploads = sweepUploads(uploadDir, uploadRetention, Date.now(), pending)
+      if (removed.length || uploads.length) {
+        logger.info('Cleanup removed old files', { media: removed.length, uploads: uploads.length })
+      }
+    } catch (error) {
+      logger.error('Cleanup error', { error })
+    }
+  }
+
+  const timer = setInterval(cleanup, interval)
+  timer.unref()
+  return { cleanup, stop: () => clearInterval(timer) }
+}
+
+module.exports = {
+  MEDIA_DIR,
+  createMediaStore,
+  mediaUrl,
+  startCleanup,
+  sweepUploads
+}
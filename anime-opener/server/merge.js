@@ -0,0 +1,275 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+const axios = require('axios')
+const { timeLyrics, toSRT } = require('./subtitles')
+
+// Merge configuration
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe'
+const OUTPUT_DIR = path.join(__dirname, 'output')
+const MERGE_POLICIES = ['trim', 'loop', 'hold']
+
+// How to reconcile a short clip with a longer song:
+// - trim: cut the song down to the clip length
+// - loop: repeat the clip until the song ends
+// - hold: freeze the last frame until the song ends
+const MERGE_POLICY = MERGE_POLICIES.includes(process.env.MERGE_POLICY) ? process.env.MERGE_POLICY : 'loop'
+const MERGE_MAX_DURATION = Number(process.env.MERGE_MAX_DURATION) || 90 // seconds, a typical TV-size opening
+const MERGE_FADE_SECONDS = Number(process.env.MERGE_FADE_SECONDS) || 2
+
+// How storyboard scenes are joined: fade (dip to black) or cut
+const SCENE_TRANSITIONS = ['fade', 'cut']
+const SCENE_TRANSITION = SCENE_TRANSITIONS.includes(process.env.SCENE_TRANSITION) ? process.env.SCENE_TRANSITION : 'fade'
+const SCENE_TRANSITION_SECONDS = Number(process.env.SCENE_TRANSITION_SECONDS) || 0.5
+const SCENE_FPS = 24
+
+// Run a command and resolve with its stdout. Aborting `signal` kills it.
+function run(command, args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { signal })
+    let stdout = ''
+    let stderr = ''
+
+    child.stdout.on('data', chunk => { stdout += chunk })
+    child.stderr.on('data', chunk => { stderr += chunk })
+    child.on('error', error => {
+      reject(error.code === 'ENOENT' ? new Error(`${command} not found. Install FFmpeg or set FFMPEG_PATH/FFPROBE_PATH.`) : error)
+    })
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(stdout)
+      } else {
+        reject(Object.assign(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`), { exitCode: code }))
+      }
+    })
+  })
+}
+
+// Download a remote asset (or copy a local one) to a local file
+async function downloadFile(url, destination) {
+  if (!/^https?:\/\//.test(url)) {
+    await fs.promises.copyFile(url, destination)
+    return destination
+  }
+  const response = await axios.get(url, { responseType: 'stream', timeout: 120000 })
+  await new Promise((resolve, reject) => {
+    const writer = fs.createWriteStream(destination)
+    response.data.pipe(writer)
+    writer.on('finish', resolve)
+    writer.on('error', reject)
+    response.data.on('error', reject)
+  })
+  return destination
+}
+
+// Check that ffmpeg runs; resolves with its version line
+async function checkFfmpeg() {
+  const output = await run(FFMPEG_PATH, ['-version'])
+  return { version: output.split('\n')[0] }
+}
+
+// Read a media file's duration in seconds
+async function probeDuration(filePath) {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    filePath
+  ])
+  const duration = parseFloat(output)
+  if (!Number.isFinite(duration)) {
+    throw new Error(`Could not read duration of ${path.basename(filePath)}`)
+  }
+  return duration
+}
+
+// Read a video's frame size
+async function probeSize(filePath) {
+  const output = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height',
+    '-of', 'csv=p=0',
+    filePath
+  ])
+  const [width, height] = output.trim().split(',').map(Number)
+  if (!width || !height) {
+    throw new Error(`Could not read frame size of ${path.basename(filePath)}`)
+  }
+  return { width, height }
+}
+
+// Build the ffmpeg arguments that join storyboard clips in order.
+// Every clip is fitted to the first clip's frame so they can be concatenated.
+function buildConcatArgs({ clipPaths, clipDurations, outputPath, width, height, transition, transitionSeconds }) {
+  const args = ['-y']
+  clipPaths.forEach(clipPath => args.push('-i', clipPath))
+
+  const last = clipPaths.length - 1
+  const filters = clipPaths.map((clipPath, i) => {
+    const steps = [
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+      'setsar=1',
+      `fps=${SCENE_FPS}`,
+      'format=yuv420p',
+      'setpts=PTS-STARTPTS'
+    ]
+    if (transition === 'fade') {
+      const fade = Math.min(transitionSeconds / 2, clipDurations[i] / 4)
+      if (i > 0) {
+        steps.push(`fade=t=in:st=0:d=${fade.toFixed(3)}`)
+      }
+      if (i < last) {
+        steps.push(`fade=t=out:st=${(clipDurations[i] - fade).toFixed(3)}:d=${fade.toFixed(3)}`)
+      }
+    }
+    return `[${i}:v]${steps.join(',')}[v${i}]`
+  })
+  filters.push(`${clipPaths.map((clipPath, i) => `[v${i}]`).join('')}concat=n=${clipPaths.length}:v=1:a=0[out]`)
+
+  args.push(
+    '-filter_complex', filters.join(';'),
+    '-map', '[out]',
+    '-c:v', 'libx264', '-pix_fmt', 'yuv420p',
+    outputPath
+  )
+  return args
+}
+
+// Work out how long the merged opening should be
+function resolveDuration(policy, videoDuration, audioDuration, maxDuration) {
+  if (policy === 'trim') {
+    return videoDuration
+  }
+  return Math.min(Math.max(videoDuration, audioDuration), maxDuration)
+}
+
+// Quote a file path for use inside an ffmpeg filter argument
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/([:'\[\],;])/g, '\\$1')
+}
+
+// Build the ffmpeg arguments for a merge
+function buildMergeArgs({ videoPath, audioPath, outputPath, policy, videoDuration, duration, fadeSeconds, subtitlesPath }) {
+  const fade = Math.min(fadeSeconds, duration / 2)
+  const audioFilter = `afade=t=out:st=${(duration - fade).toFixed(3)}:d=${fade.toFixed(3)}`
+  const args = ['-y']
+
+  if (policy === 'loop') {
+    args.push('-stream_loop', '-1')
+  }
+  args.push('-i', videoPath, '-i', audioPath, '-map', '0:v:0', '-map', '1:a:0')
+
+  const videoFilters = []
+  if (policy === 'hold' && duration > videoDuration) {
+    videoFilters.push(`tpad=stop_mode=clone:stop_duration=${(duration - videoDuration).toFixed(3)}`)
+  }
+  if (subtitlesPath) {
+    videoFilters.push(`subtitles=${escapeFilterPath(subtitlesPath)}`)
+  }
+
+  if (videoFilters.length) {
+    // Freezing frames and burning in lyrics need a re-encode; otherwise the stream is copied
+    args.push(
+      '-vf', videoFilters.join(','),
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p'
+    )
+  } else {
+    args.push('-c:v', 'copy')
+  }
+
+  args.push(
+    '-af', audioFilter,
+    '-c:a', 'aac', '-b:a', '192k',
+    '-t', duration.toFixed(3),
+    '-movflags', '+faststart',
+    outputPath
+  )
+  return args
+}
+
+// Download the clip (or storyboard clips, in order) and the song, mux them
+// with ffmpeg and return the merged file name. Passing `lyrics` burns them
+// in as subtitles timed to the song; aborting `signal` stops ffmpeg.
+async function mergeVideoAndAudio(videoUrls, audioUrl, options = {}) {
+  const clipUrls = [].concat(videoUrls)
+  const policy = options.policy || MERGE_POLICY
+  if (!MERGE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown merge policy "${policy}". Expected one of: ${MERGE_POLICIES.join(', ')}`)
+  }
+  const transition = options.transition || SCENE_TRANSITION
+  if (!SCENE_TRANSITIONS.includes(transition)) {
+    throw new Error(`Unknown scene transition "${transition}". Expected one of: ${SCENE_TRANSITIONS.join(', ')}`)
+  }
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anime-opener-'))
+
+  try {
+    const [audioPath, ...clipPaths] = await Promise.all([
+      downloadFile(audioUrl, path.join(workDir, 'audio.mp3')),
+      ...clipUrls.map((url, i) => downloadFile(url, path.join(workDir, `clip-${i}.mp4`)))
+    ])
+
+    let videoPath = clipPaths[0]
+    if (clipPaths.length > 1) {
+      const [clipDurations, size] = await Promise.all([
+        Promise.all(clipPaths.map(probeDuration)),
+        probeSize(clipPaths[0])
+      ])
+      videoPath = path.join(workDir, 'storyboard.mp4')
+      await run(FFMPEG_PATH, buildConcatArgs({
+        clipPaths,
+        clipDurations,
+        outputPath: videoPath,
+        ...size,
+        transition,
+        transitionSeconds: options.transitionSeconds ?? SCENE_TRANSITION_SECONDS
+      }), { signal: options.signal })
+    }
+
+    const [videoDuration, audioDuration] = await Promise.all([
+      probeDuration(videoPath),
+      probeDuration(audioPath)
+    ])
+    const duration = resolveDuration(policy, videoDuration, audioDuration, options.maxDuration || MERGE_MAX_DURATION)
+
+    let subtitlesPath
+    if (options.lyrics) {
+      subtitlesPath = path.join(workDir, 'lyrics.srt')
+      fs.writeFileSync(subtitlesPath, toSRT(timeLyrics(options.lyrics, audioDuration)))
+    }
+
+    const fileName = `${options.name || Date.now()}.mp4`
+    await run(FFMPEG_PATH, buildMergeArgs({
+      videoPath,
+      audioPath,
+      outputPath: path.join(OUTPUT_DIR, fileName),
+      policy,
+      videoDuration,
+      duration,
+      fadeSeconds: options.fadeSeconds ?? MERGE_FADE_SECONDS,
+      subtitlesPath
+    }), { signal: options.signal })
+
+    return { fileName, duration, audioDuration, policy }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true })
+  }
+}
+
+module.exports = {
+  FFMPEG_PATH,
+  OUTPUT_DIR,
+  MERGE_POLICIES,
+  SCENE_TRANSITIONS,
+  mergeVideoAndAudio,
+  buildConcatArgs,
+  buildMergeArgs,
+  checkFfmpeg,
+  resolveDuration,
+  run
+}
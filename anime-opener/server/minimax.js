@@ -0,0 +1,330 @@
+const fs = require('fs')
+const axios = require('axios')
+const FormData = require('form-data')
+const { logger } = require('./logger')
+
+// MiniMax client configuration
+const DEFAULT_BASE_URL = process.env.MINIMAX_BASE_URL || 'https://api.minimax.io/v1'
+
+// Per-endpoint timeouts in ms; music is synchronous and can take minutes
+const DEFAULT_TIMEOUTS = {
+  chat: 30000,
+  lyrics: 60000,
+  music: 300000,
+  image: 120000,
+  video: 60000,
+  query: 30000,
+  upload: 60000
+}
+
+// Errors raised for a non-zero base_resp.status_code (or a failed HTTP call)
+class MiniMaxError extends Error {
+  constructor(message, { code, status, endpoint, response } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    this.status = status
+    this.endpoint = endpoint
+    this.response = response
+  }
+
+  get retryable() {
+    return false
+  }
+}
+
+class MiniMaxAuthError extends MiniMaxError {}
+class MiniMaxBalanceError extends MiniMaxError {}
+class MiniMaxInvalidRequestError extends MiniMaxError {}
+class MiniMaxContentError extends MiniMaxError {}
+
+class MiniMaxRateLimitError extends MiniMaxError {
+  get retryable() {
+    return true
+  }
+}
+
+class MiniMaxServerError extends MiniMaxError {
+  get retryable() {
+    return true
+  }
+}
+
+// base_resp.status_code → error class and a readable message
+const ERROR_CODES = {
+  1000: [MiniMaxServerError, 'Unknown MiniMax error'],
+  1001: [MiniMaxServerError, 'MiniMax request timed out'],
+  1002: [MiniMaxRateLimitError, 'MiniMax rate limit exceeded'],
+  1004: [MiniMaxAuthError, 'MiniMax authentication failed'],
+  1008: [MiniMaxBalanceError, 'Insufficient MiniMax balance - please add credits to your account'],
+  1013: [MiniMaxServerError, 'MiniMax internal service error'],
+  1026: [MiniMaxContentError, 'Input was flagged as sensitive content'],
+  1027: [MiniMaxContentError, 'Output was flagged as sensitive content'],
+  1039: [MiniMaxRateLimitError, 'MiniMax token rate limit exceeded'],
+  2013: [MiniMaxInvalidRequestError, 'Invalid parameters'],
+  2049: [MiniMaxAuthError, 'MiniMax API key is invalid']
+}
+
+// Network failures, some of which may come after MiniMax got the request
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']
+// Network failures that mean the request never reached MiniMax
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']
+// Timeouts, after which MiniMax may still be working on the request
+const TIMEOUT_ERRORS = ['ECONNABORTED', 'ETIMEDOUT']
+
+// Build the typed error for a base_resp, or null when the call succeeded
+function errorFromBaseResp(baseResp, endpoint, response) {
+  if (!baseResp || !baseResp.status_code) {
+    return null
+  }
+  const [ErrorClass, fallbackMessage] = ERROR_CODES[baseResp.status_code] || [MiniMaxError, 'MiniMax request failed']
+  return new ErrorClass(`${fallbackMessage} (${baseResp.status_code}${baseResp.status_msg ? ': ' + baseResp.status_msg : ''})`, {
+    code: baseResp.status_code,
+    endpoint,
+    response
+  })
+}
+
+// Wrap an axios failure in a MiniMaxError
+function errorFromHttp(error, endpoint) {
+  const data = error.response?.data
+  const fromBody = errorFromBaseResp(data?.base_resp, endpoint, data)
+  if (fromBody) {
+    return fromBody
+  }
+
+  const status = error.response?.status
+  const options = { status, code: error.code, endpoint, response: data }
+  if (status === 401 || status === 403) {
+    return new MiniMaxAuthError(`MiniMax rejected the API key (HTTP ${status})`, options)
+  }
+  if (status === 429) {
+    return new MiniMaxRateLimitError('MiniMax rate limit exceeded (HTTP 429)', options)
+  }
+  if (status >= 500 || CONNECTION_ERRORS.includes(error.code) || TIMEOUT_ERRORS.includes(error.code)) {
+    return new MiniMaxServerError(`MiniMax ${endpoint} failed: ${error.message}`, options)
+  }
+  return new MiniMaxError(`MiniMax ${endpoint} failed: ${error.message}`, options)
+}
+
+// Response normalizers: MiniMax endpoints (and versions) disagree on shapes
+
+function normalizeLyrics(data) {
+  return {
+    lyrics: data?.lyrics || data?.data?.lyrics || null,
+    title: data?.song_title || data?.title || null,
+    styleTags: data?.style_tags || null,
+    raw: data
+  }
+}
+
+function normalizeMusic(data) {
+  const audio = data?.data?.audio || data?.audio_file || data?.audio?.file_url || data?.audio || data?.file_url || data?.url
+  return {
+    audioUrl: typeof audio === 'string' ? audio : null,
+    duration: data?.extra_info?.music_duration ? data.extra_info.music_duration / 1000 : null,
+    raw: data
+  }
+}
+
+function normalizeImage(data) {
+  return {
+    taskId: data?.id || data?.task_id || data?.task?.task_id || null,
+    imageUrls: data?.data?.image_urls || (data?.image?.image_url ? [data.image.image_url] : []),
+    raw: data
+  }
+}
+
+// Task states come back as Success/Fail/Processing/Queueing (or lower case)
+function normalizeTaskStatus(status) {
+  const value = String(status || '').toLowerCase()
+  if (value === 'success') return 'success'
+  if (value === 'fail' || value === 'failed') return 'failed'
+  return 'processing'
+}
+
+function normalizeImageStatus(data) {
+  return {
+    status: normalizeTaskStatus(data?.status),
+    imageUrl: data?.image?.image_url || data?.data?.image_urls?.[0] || null,
+    raw: data
+  }
+}
+
+function normalizeVideo(data) {
+  return {
+    taskId: data?.task_id || data?.task?.task_id || null,
+    raw: data
+  }
+}
+
+function normalizeVideoStatus(data) {
+  return {
+    status: normalizeTaskStatus(data?.status),
+    videoUrl: data?.video?.video_url || data?.video_url || null,
+    fileId: data?.file_id || null,
+    raw: data
+  }
+}
+
+function normalizeFile(data) {
+  const file = data?.file || data?.files?.[0] || {}
+  return {
+    fileId: file.file_id || data?.file_id || null,
+    fileUrl: file.download_url || file.file_url || data?.file_url || data?.url || null,
+    raw: data
+  }
+}
+
+function normalizeChat(data) {
+  const message = data?.choices?.[0]?.message
+  return {
+    content: message?.content || null,
+    reasoning: message?.reasoning_content || null,
+    raw: data
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Create a MiniMax API client
+function createMiniMaxClient({
+  apiKey = process.env.MINIMAX_API_KEY || '',
+  baseUrl = DEFAULT_BASE_URL,
+  timeouts = {},
+  retries = 2,
+  retryDelay = 1000
+} = {}) {
+  const endpointTimeouts = { ...DEFAULT_TIMEOUTS, ...timeouts }
+
+  // Send one request with retries. Generation calls are only retried when MiniMax
+  // definitely didn't start the work (a rate limit, or a connection that was
+  // never made): after a timeout, a 5xx or a 1000/1001/1013 the work may have
+  // run, and retrying could bill it twice.
+  // `body` may be a function returning { data, headers } when the payload must be rebuilt per attempt.
+  // Every attempt is logged with the current job and request IDs; status
+  // polls only at debug level.
+  async function request({ method = 'post', endpoint, kind, body, params, headers = {}, idempotent = method === 'get' }) {
+    const level = method === 'get' ? 'debug' : 'info'
+    for (let attempt = 0; ; attempt++) {
+      let error
+      const startedAt = Date.now()
+      try {
+        const payload = typeof body === 'function' ? body() : { data: body, headers: {} }
+        const response = await axios({
+          method,
+          url: `${baseUrl}${endpoint}`,
+          data: payload.data,
+          params,
+          timeout: endpointTimeouts[kind],
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            ...headers,
+            ...payload.headers
+          }
+        })
+        error = errorFromBaseResp(response.data?.base_resp, endpoint, response.data)
+        if (!error) {
+          logger[level]('MiniMax call', { endpoint, attempt, durationMs: Date.now() - startedAt, traceId: response.data?.trace_id })
+          logger.debug('MiniMax response', { endpoint, response: response.data })
+          return response.data
+        }
+      } catch (httpError) {
+        error = errorFromHttp(httpError, endpoint)
+      }
+
+      const notStarted = error instanceof MiniMaxRateLimitError || NOT_SENT_ERRORS.includes(error.code)
+      const canRetry = error.retryable && (idempotent || notStarted)
+      logger.warn('MiniMax call failed', {
+        endpoint,
+        attempt,
+        durationMs: Date.now() - startedAt,
+        error,
+        response: error.response,
+        retrying: canRetry && attempt < retries
+      })
+      if (!canRetry || attempt >= retries) {
+        throw error
+      }
+      // Exponential backoff with a little jitter
+      await sleep(retryDelay * 2 ** attempt + Math.random() * retryDelay / 2)
+    }
+  }
+
+  const post = (endpoint, kind, body) => request({ endpoint, kind, body, headers: { 'Content-Type': 'application/json' } })
+  const get = (endpoint, kind, params) => request({ method: 'get', endpoint, kind, params })
+
+  return {
+    baseUrl,
+
+    async generateLyrics(body) {
+      return normalizeLyrics(await post('/lyrics_generation', 'lyrics', body))
+    },
+
+    async generateMusic(body) {
+      return normalizeMusic(await post('/music_generation', 'music', body))
+    },
+
+    async generateImage(body) {
+      return normalizeImage(await post('/image_generation', 'image', body))
+    },
+
+    async queryImage(taskId) {
+      return normalizeImageStatus(await get('/query/image_generation', 'query', { task_id: taskId }))
+    },
+
+    async generateVideo(body) {
+      return normalizeVideo(await post('/video_generation', 'video', body))
+    },
+
+    // Finished videos may only carry a file ID; resolve it to a download URL
+    async queryVideo(taskId) {
+      const result = normalizeVideoStatus(await get('/query/video_generation', 'query', { task_id: taskId }))
+      if (result.status === 'success' && !result.videoUrl && result.fileId) {
+        result.videoUrl = (await this.retrieveFile(result.fileId)).fileUrl
+      }
+      return result
+    },
+
+    async retrieveFile(fileId) {
+      return normalizeFile(await get('/files/retrieve', 'query', { file_id: fileId }))
+    },
+
+    async uploadFile(filePath, purpose) {
+      // Streams can't be replayed, so each attempt builds a fresh form
+      const body = () => {
+        const formData = new FormData()
+        if (purpose) {
+          formData.append('purpose', purpose)
+        }
+        formData.append('file', fs.createReadStream(filePath))
+        return { data: formData, headers: formData.getHeaders() }
+      }
+      return normalizeFile(await request({ endpoint: '/files/upload', kind: 'upload', body }))
+    },
+
+    async chat(body) {
+      return normalizeChat(await post('/text/chatcompletion_v2', 'chat', body))
+    }
+  }
+}
+
+module.exports = {
+  createMiniMaxClient,
+  MiniMaxError,
+  MiniMaxAuthError,
+  MiniMaxBalanceError,
+  MiniMaxInvalidRequestError,
+  MiniMaxContentError,
+  MiniMaxRateLimitError,
+  MiniMaxServerError,
+  ERROR_CODES,
+  normalizeLyrics,
+  normalizeMusic,
+  normalizeImage,
+  normalizeImageStatus,
+  normalizeVideo,
+  normalizeVideoStatus,
+  normalizeFile,
+  normalizeChat
+}
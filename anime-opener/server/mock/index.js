@@ -0,0 +1,237 @@
+// Offline stand-in for the MiniMax API, for development and tests.
+// Run with `npm run mock` and point the server at it with MINIMAX_BASE_URL.
+require('dotenv').config()
+
+const express = require('express')
+const multer = require('multer')
+const path = require('path')
+
+const ASSETS_DIR = path.join(__dirname, 'assets')
+
+// Parse "music_generation=1008,video_generation=1002" into { music_generation: 1008, ... }
+function parseFailures(value) {
+  return Object.fromEntries(
+    (value || '')
+      .split(',')
+      .map(entry => entry.trim().split('='))
+      .filter(([name, code]) => name && code)
+      .map(([name, code]) => [name, Number(code)])
+  )
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean)
+}
+
+const DEFAULT_CONFIG = {
+  latency: Number(process.env.MOCK_LATENCY) || 0, // ms added to every response
+  pollsUntilDone: Number(process.env.MOCK_POLLS) || 2, // status polls before a task finishes
+  failures: parseFailures(process.env.MOCK_FAIL), // endpoint → base_resp status code
+  failTasks: parseList(process.env.MOCK_FAIL_TASKS), // 'image' and/or 'video' tasks end in Fail
+  asyncImages: process.env.MOCK_ASYNC_IMAGES === 'true', // return an image task ID instead of URLs
+  musicShape: process.env.MOCK_MUSIC_SHAPE || 'data' // where the audio URL goes, see musicResponse
+}
+
+// The music endpoint has answered in several shapes over time
+function musicResponse(shape, audioUrl) {
+  switch (shape) {
+    case 'audio_file':
+      return { audio_file: audioUrl }
+    case 'audio':
+      return { audio: { file_url: audioUrl } }
+    case 'file_url':
+      return { file_url: audioUrl }
+    case 'url':
+      return { url: audioUrl }
+    default:
+      return { data: { audio: audioUrl, status: 2 } }
+  }
+}
+
+const MOCK_LYRICS = `[Intro]
+(Mock mode)
+
+[Verse 1]
+Running on a local server
+No credits spent tonight
+
+[Chorus]
+We are offline
+And everything's alright
+
+[Outro]
+(Mock mode)`
+
+const ok = { status_code: 0, status_msg: 'success' }
+
+// Create the mock server; `config` overrides the MOCK_* environment settings
+function createMockMiniMax(config = {}) {
+  const app = express()
+  const settings = { ...DEFAULT_CONFIG, ...config }
+  const tasks = new Map()
+  const requests = []
+  let nextId = 1
+
+  const upload = multer({ storage: multer.memoryStorage() })
+  const assetUrl = (req, name) => `${req.protocol}://${req.get('host')}/assets/${name}`
+
+  app.use(express.json({ limit: '20mb' }))
+  app.use('/assets', express.static(ASSETS_DIR))
+
+  // Record every API call, then apply latency, auth and failure injection
+  app.use('/v1', async (req, res, next) => {
+    const endpoint = req.path.replace(/^\//, '').replace(/\//g, '_')
+    requests.push({ method: req.method, endpoint, body: req.body, query: req.query, at: Date.now() })
+
+    if (settings.latency) {
+      await new Promise(resolve => setTimeout(resolve, settings.latency))
+    }
+    if (!/^Bearer \S+/.test(req.get('authorization') || '')) {
+      return res.json({ base_resp: { status_code: 1004, status_msg: 'login fail: Please carry the API secret key' } })
+    }
+    if (settings.failures[endpoint]) {
+      return res.json({ base_resp: { status_code: settings.failures[endpoint], status_msg: 'injected failure' } })
+    }
+    next()
+  })
+
+  // Track an async task that finishes after a number of polls
+  function createTask(kind, result) {
+    const id = String(nextId++)
+    tasks.set(id, { kind, polls: 0, result })
+    return id
+  }
+
+  function pollTask(id, kind) {
+    const task = tasks.get(String(id))
+    if (!task || task.kind !== kind) {
+      return null
+    }
+    task.polls++
+    if (task.polls < settings.pollsUntilDone) {
+      return { status: task.polls === 1 ? 'Queueing' : 'Processing' }
+    }
+    return settings.failTasks.includes(kind) ? { status: 'Fail' } : { status: 'Success', ...task.result }
+  }
+
+  app.post('/v1/lyrics_generation', (req, res) => {
+    // Edit mode echoes the draft with the requested change noted at the end
+    const lyrics = req.body.mode === 'edit'
+      ? `${req.body.lyrics}\n\n[Outro]\n(Revised: ${req.body.prompt})`
+      : MOCK_LYRICS
+    res.json({
+      song_title: 'Mock Opening',
+      style_tags: 'J-Pop, Anime, Energetic',
+      lyrics,
+      base_resp: ok
+    })
+  })
+
+  app.post('/v1/music_generation', (req, res) => {
+    res.json({
+      ...musicResponse(settings.musicShape, assetUrl(req, 'song.mp3')),
+      extra_info: { music_duration: 12000, music_sample_rate: 22050, music_channel: 1, bitrate: 24000 },
+      base_resp: ok
+    })
+  })
+
+  app.post('/v1/image_generation', (req, res) => {
+    const count = req.body.n || req.body.num_images || 1
+    const imageUrls = Array.from({ length: count }, () => assetUrl(req, 'frame.png'))
+
+    if (settings.asyncImages) {
+      return res.json({ id: createTask('image', { image: { image_url: imageUrls[0] } }), base_resp: ok })
+    }
+    res.json({
+      id: String(nextId++),
+      data: { image_urls: imageUrls },
+      metadata: { success_count: count, failed_count: 0 },
+      base_resp: ok
+    })
+  })
+
+  app.get('/v1/query/image_generation', (req, res) => {
+    const result = pollTask(req.query.task_id, 'image')
+    if (!result) {
+      return res.json({ base_resp: { status_code: 2013, status_msg: 'task not found' } })
+    }
+    res.json({ task_id: req.query.task_id, ...result, base_resp: ok })
+  })
+
+  app.post('/v1/video_generation', (req, res) => {
+    const fileId = `mock-file-${nextId}`
+    res.json({ task_id: createTask('video', { file_id: fileId }), base_resp: ok })
+  })
+
+  app.get('/v1/query/video_generation', (req, res) => {
+    const result = pollTask(req.query.task_id, 'video')
+    if (!result) {
+      return res.json({ base_resp: { status_code: 2013, status_msg: 'task not found' } })
+    }
+    res.json({ task_id: req.query.task_id, file_id: '', ...result, base_resp: ok })
+  })
+
+  app.get('/v1/files/retrieve', (req, res) => {
+    res.json({
+      file: {
+        file_id: req.query.file_id,
+        filename: 'output.mp4',
+        purpose: 'video_generation',
+        download_url: assetUrl(req, 'clip.mp4')
+      },
+      base_resp: ok
+    })
+  })
+
+  app.post('/v1/files/upload', upload.single('file'), (req, res) => {
+    if (!req.file) {
+      return res.json({ base_resp: { status_code: 2013, status_msg: 'file is required' } })
+    }
+    res.json({
+      file: {
+        file_id: `mock-file-${nextId++}`,
+        bytes: req.file.size,
+        created_at: Math.floor(Date.now() / 1000),
+        filename: req.file.originalname,
+        purpose: req.body.purpose || 'video_generation'
+      },
+      base_resp: ok
+    })
+  })
+
+  app.post('/v1/text/chatcompletion_v2', (req, res) => {
+    res.json({
+      id: String(nextId++),
+      model: req.body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: 'Hello from the MiniMax mock server!' } }],
+      base_resp: ok
+    })
+  })
+
+  // Test hooks: inspect received calls and change behaviour at runtime
+  app.get('/__mock/requests', (req, res) => res.json(requests))
+  app.post('/__mock/config', (req, res) => {
+    Object.assign(settings, req.body)
+    res.json(settings)
+  })
+  app.post('/__mock/reset', (req, res) => {
+    Object.assign(settings, DEFAULT_CONFIG, config)
+    tasks.clear()
+    requests.length = 0
+    res.json(settings)
+  })
+
+  app.locals.settings = settings
+  app.locals.requests = requests
+  return app
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_PORT || 3002
+  createMockMiniMax().listen(port, () => {
+    console.log(`MiniMax mock server running on http://localhost:${port}/v1`)
+    console.log('Point the app at it with MINIMAX_BASE_URL=' + `http://localhost:${port}/v1`)
+  })
+}
+
+module.exports = { createMockMiniMax }
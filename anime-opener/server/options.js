@@ -0,0 +1,92 @@
+// Generation parameters a request may set. Each option lists its allowed
+// values and the environment variable that sets the server-wide default.
+const OPTION_SCHEMA = {
+  musicModel: { values: ['music-2.5', 'music-2.0', 'music-1.5'], default: 'music-2.5', env: 'MUSIC_MODEL' },
+  sampleRate: { values: [16000, 24000, 32000, 44100], default: 44100, env: 'MUSIC_SAMPLE_RATE' },
+  bitrate: { values: [32000, 64000, 128000, 256000], default: 256000, env: 'MUSIC_BITRATE' },
+  imageModel: { values: ['image-01', 'image-01-live'], default: 'image-01', env: 'IMAGE_MODEL' },
+  imageResolution: { values: ['768x768', '1024x1024', '1280x720', '720x1280'], default: '1024x1024', env: 'IMAGE_RESOLUTION' },
+  videoModel: { values: ['MiniMax-Hailuo-2.3', 'MiniMax-Hailuo-2.3-Fast', 'MiniMax-Hailuo-02'], default: 'MiniMax-Hailuo-2.3', env: 'VIDEO_MODEL' },
+  videoDuration: { values: [6, 10], default: 6, env: 'VIDEO_DURATION' },
+  videoResolution: { values: ['512P', '720P', '768P', '1080P'], default: '720P', env: 'VIDEO_RESOLUTION' }
+}
+
+// Read an option from the environment; numeric options arrive as strings
+function fromEnv(name, spec, env) {
+  const value = env[spec.env]
+  if (value === undefined || value === '') {
+    return undefined
+  }
+  return typeof spec.default === 'number' ? Number(value) : value
+}
+
+// Check a partial options object. Returns a list of error messages, empty when valid.
+function validateOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['options must be an object']
+  }
+
+  const errors = []
+  for (const [name, value] of Object.entries(options)) {
+    const spec = OPTION_SCHEMA[name]
+    if (!spec) {
+      errors.push(`Unknown option "${name}". Expected one of: ${Object.keys(OPTION_SCHEMA).join(', ')}`)
+    } else if (!spec.values.includes(value)) {
+      errors.push(`options.${name} must be one of: ${spec.values.join(', ')}`)
+    }
+  }
+  return errors
+}
+
+// Rules that span several options, checked once everything is resolved
+function validateCombination(options) {
+  if (options.videoResolution === '1080P' && options.videoDuration !== 6) {
+    return ['1080P videos can only be 6 seconds long']
+  }
+  if (options.videoModel === 'MiniMax-Hailuo-02' && options.videoResolution === '720P') {
+    return ['MiniMax-Hailuo-02 renders 512P, 768P or 1080P, not 720P']
+  }
+  return []
+}
+
+// Server-wide defaults: the schema's, overridden by the environment and then
+// by `overrides` (e.g. from createApp). Throws if the result is invalid, so a
+// bad setting stops the server at startup instead of failing every job.
+function createDefaultOptions(overrides = {}, env = process.env) {
+  const defaults = {}
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    defaults[name] = overrides[name] ?? fromEnv(name, spec, env) ?? spec.default
+  }
+
+  const errors = [...validateOptions(defaults), ...validateCombination(defaults)]
+  if (errors.length) {
+    throw new Error(`Invalid generation defaults: ${errors.join('; ')}`)
+  }
+  return defaults
+}
+
+// Option settings in a preset's defaults
+function pickOptions(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([name]) => name in OPTION_SCHEMA))
+}
+
+// Layer a request's options over the preset's and the server's defaults.
+// Returns { options } or { errors }.
+function resolveOptions(requested = {}, { defaults, preset = {} }) {
+  const errors = validateOptions(requested)
+  if (errors.length) {
+    return { errors }
+  }
+
+  const options = { ...defaults, ...pickOptions(preset), ...requested }
+  const conflicts = validateCombination(options)
+  return conflicts.length ? { errors: conflicts } : { options }
+}
+
+module.exports = {
+  OPTION_SCHEMA,
+  createDefaultOptions,
+  pickOptions,
+  resolveOptions,
+  validateOptions
+}
@@ -0,0 +1,644 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const { AsyncLocalStorage } = require('async_hooks')
+const { EventEmitter } = require('events')
+const { setTimeout: delay } = require('timers/promises')
+const { usageScope } = require('./usage')
+const { createJobQueue } = require('./queue')
+const { mediaUrl } = require('./media')
+const { logger } = require('./logger')
+
+// Pipeline configuration. A video task is given up on VIDEO_POLL_TIMEOUT
+// after it was submitted, across restarts.
+const VIDEO_POLL_INTERVAL = Number(process.env.VIDEO_POLL_INTERVAL) || 5000
+const VIDEO_POLL_TIMEOUT = Number(process.env.VIDEO_POLL_TIMEOUT) || 10 * 60 * 1000
+// Interrupted jobs untouched for longer than this are failed instead of resumed
+const RESUME_MAX_AGE_HOURS = Number(process.env.RESUME_MAX_AGE_HOURS) || 24
+
+// Stages in the order they are reported. image → video and lyrics → music
+// run as two parallel branches; merge waits for both. In storyboard mode the
+// image and video stages cover every scene.
+const STAGES = ['image', 'lyrics', 'music', 'video', 'merge']
+
+// Longest storyboard, about 90 seconds of 6-second clips
+const MAX_SCENES = 15
+
+// Parts of a finished opening that can be regenerated, and the stages each
+// reruns: new frames need new clips, and new lyrics need the song sung again
+const REGENERATE_PARTS = {
+  image: ['image', 'video'],
+  video: ['video'],
+  lyrics: ['lyrics', 'music'],
+  music: ['music']
+}
+
+// Job fields that make up one revision of an opening
+const REVISION_FIELDS = [
+  'revision', 'regenerated', 'scenes', 'imageUrl', 'imageSource', 'rawVideoUrl', 'videoTaskId',
+  'lyrics', 'lyricsSource', 'musicUrl', 'musicDuration', 'videoUrl', 'merged', 'mergeError', 'duration'
+]
+
+// Map a job onto the coarse status used by /api/status
+function summarizeStatus(job) {
+  if (!job.stages) {
+    return job.status
+  }
+  if (['queued', 'success', 'failed', 'cancelled'].includes(job.status)) {
+    return job.status
+  }
+  return job.stages.merge.status === 'running' ? 'merging' : 'processing'
+}
+
+// Strip server-only fields before a job is sent to a client, and point asset
+// URLs at the local copies where there are any
+function toPublicJob(job) {
+  const { upload, media = {}, billedBefore, ...rest } = job
+  const local = url => media[url] ? mediaUrl(media[url]) : url
+  const withLocalUrls = record => ({
+    ...record,
+    imageUrl: local(record.imageUrl),
+    rawVideoUrl: local(record.rawVideoUrl),
+    musicUrl: local(record.musicUrl),
+    videoUrl: local(record.videoUrl),
+    scenes: record.scenes?.map(scene => ({ ...scene, imageUrl: local(scene.imageUrl), rawVideoUrl: local(scene.rawVideoUrl) }))
+  })
+  return {
+    ...withLocalUrls(rest),
+    revisions: rest.revisions?.map(withLocalUrls),
+    upload: upload ? { originalname: upload.originalname, mimetype: upload.mimetype } : undefined
+  }
+}
+
+// The current revision's assets, to keep in a job's revision history
+function snapshotRevision(job) {
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, job[field]]))
+}
+
+// Asset URLs a job or one of its revisions uses
+function assetUrls(record) {
+  return [record.imageUrl, record.rawVideoUrl, record.musicUrl, record.videoUrl]
+    .concat((record.scenes || []).flatMap(scene => [scene.imageUrl, scene.rawVideoUrl]))
+    .filter(Boolean)
+}
+
+// Where a job's uploaded first frame is served when MiniMax doesn't host it.
+// The job keeps this instead of the image itself.
+function frameUrl(jobId) {
+  return `/api/jobs/${jobId}/frame`
+}
+
+// Which run of a job the code in the current async flow belongs to, so a
+// cancelled run can't write to its job any more
+const runScope = new AsyncLocalStorage()
+
+// `notify` is called with every event as it is published, e.g. to send webhooks
+function createPipeline({
+  store,
+  api,
+  presets,
+  queue = createJobQueue(),
+  notify = () => {},
+  pollInterval = VIDEO_POLL_INTERVAL,
+  pollTimeout = VIDEO_POLL_TIMEOUT,
+  resumeMaxAge = RESUME_MAX_AGE_HOURS * 60 * 60 * 1000
+}) {
+  // Writes to one job are serialized so parallel stages don't overwrite each other
+  const locks = new Map()
+
+  // Progress events, emitted under the job ID (see /api/jobs/:id/events)
+  const events = new EventEmitter()
+  events.setMaxListeners(0)
+
+  // Queued and running generations and regenerations, by job ID, each with
+  // the AbortController that cancels it
+  const activeRuns = new Map()
+
+  function publish(jobId, type, data) {
+    if (runScope.getStore()?.signal.aborted) {
+      return
+    }
+    if (type === 'status' || type === 'stage') {
+      logger.info(`Job ${type}`, { jobId, stage: data.stage, status: data.status, error: data.error })
+    }
+    const event = { type, jobId, at: Date.now(), ...data }
+    events.emit(jobId, event)
+    notify(event)
+  }
+
+  // Tell every waiting job where it now stands in the line
+  function publishQueue() {
+    for (const jobId of queue.waiting()) {
+      publish(jobId, 'queue', queue.status(jobId))
+    }
+  }
+
+  function updateJob(jobId, mutate) {
+    const signal = runScope.getStore()?.signal
+    const previous = locks.get(jobId) || Promise.resolve()
+    const next = previous.then(async () => {
+      // A cancelled run leaves the job as cancel() left it
+      signal?.throwIfAborted()
+      const job = await store.get(jobId)
+      return store.update(jobId, mutate(job))
+    })
+    locks.set(jobId, next.catch(() => {}))
+    return next
+  }
+
+  async function updateStage(jobId, name, patch, assets = {}) {
+    const job = await updateJob(jobId, job => ({
+      ...assets,
+      stages: { ...job.stages, [name]: { ...job.stages[name], ...patch } }
+    }))
+    publish(jobId, 'stage', { stage: name, ...job.stages[name], assets })
+    return job
+  }
+
+  async function updateScene(jobId, sceneId, patch) {
+    const job = await updateJob(jobId, job => ({
+      scenes: job.scenes.map(scene => scene.id === sceneId ? { ...scene, ...patch } : scene)
+    }))
+    publish(jobId, 'scene', { scene: job.scenes.find(scene => scene.id === sceneId) })
+    return job
+  }
+
+  async function finishJob(jobId, patch) {
+    const job = await updateJob(jobId, () => patch)
+    publish(jobId, 'done', { job: toPublicJob(job) })
+    return job
+  }
+
+  // Run one stage, recording its status, timing and error; resolves with the job patch
+  async function runStage(jobId, name, fn) {
+    await updateStage(jobId, name, { status: 'running', startedAt: Date.now() })
+    try {
+      const result = await fn()
+      await updateStage(jobId, name, { status: 'success', finishedAt: Date.now() }, result)
+      return result
+    } catch (error) {
+      await updateStage(jobId, name, { status: 'failed', finishedAt: Date.now(), error: error.message })
+      throw error
+    }
+  }
+
+  // Run `fn` for every scene; let them all finish, then fail if any did
+  async function forEachScene(jobId, scenes, fn) {
+    const results = await Promise.allSettled(scenes.map(async scene => {
+      try {
+        return await fn(scene)
+      } catch (error) {
+        await updateScene(jobId, scene.id, { status: 'failed', error: error.message })
+        throw error
+      }
+    }))
+    const failed = results.find(result => result.status === 'rejected')
+    if (failed) {
+      throw failed.reason
+    }
+    return results.map(result => result.value)
+  }
+
+  // Keep a local copy of an asset, whose MiniMax URL will expire. `source`
+  // is where to copy it from when that isn't the URL itself; an inline
+  // data URL is only worth copying from a file. A failed copy is only
+  // logged; the job carries on with the remote URL.
+  async function cacheAsset(jobId, url, source = url, options) {
+    if (!url || (source === url && url.startsWith('data:'))) {
+      return
+    }
+    try {
+      const name = await api.cacheMedia(source, options)
+      await updateJob(jobId, job => ({ media: { ...job.media, [url]: name } }))
+    } catch (error) {
+      runScope.getStore()?.signal.throwIfAborted()
+      logger.warn('Media cache error', { error })
+    }
+  }
+
+  // A preset removed since the job started falls back to the default
+  function presetFor(job) {
+    return presets.get(job.preset) || presets.get()
+  }
+
+  // What a scene's frame and clip are generated from: the theme, plus the
+  // shot in storyboard mode
+  function scenePrompt(job, theme, description) {
+    return job.storyboard ? `${theme}, ${description}` : theme
+  }
+
+  // One scene for a plain opening, or the storyboard's shots
+  async function planScenes(job) {
+    if (!job.storyboard) {
+      return [{ id: 0, description: job.theme, prompt: job.theme, status: 'pending' }]
+    }
+    const descriptions = job.storyboard.scenes || await api.planScenes(job.theme, job.storyboard.sceneCount)
+    return descriptions.map((description, id) => ({
+      id,
+      description,
+      prompt: scenePrompt(job, job.theme, description),
+      status: 'pending'
+    }))
+  }
+
+  // First frame for a scene: the upload opens the opening, the rest are
+  // generated. Regenerating the frames replaces the upload too. A frame
+  // made before a restart is kept, and one still rendering is waited for.
+  async function prepareSceneImage(jobId, job, scene, context, { useUpload = true } = {}) {
+    if (scene.imageUrl) {
+      return { imageUrl: scene.imageUrl, imageSource: scene.imageSource }
+    }
+    await updateScene(jobId, scene.id, { status: 'image' })
+    let result
+    if (useUpload && job.upload && scene.id === 0) {
+      const hosted = await api.hostUploadedImage(job.upload)
+      result = { imageUrl: hosted || frameUrl(jobId), imageSource: 'upload' }
+      await cacheAsset(jobId, result.imageUrl, job.upload.path, { contentType: job.upload.mimetype })
+    } else {
+      const imageUrl = await queue.limit('image', () =>
+        api.generateImageFromTheme(scene.prompt, poll => publish(jobId, 'poll', { stage: 'image', scene: scene.id, ...poll }), {
+          ...context,
+          task: scene.imageTaskId && { taskId: scene.imageTaskId, submittedAt: scene.imageSubmittedAt },
+          onTask: task => updateScene(jobId, scene.id, { imageTaskId: task.taskId, imageSubmittedAt: task.submittedAt })
+        }), { signal: context.signal })
+      if (!imageUrl) {
+        throw new Error('Could not generate a first frame from the theme')
+      }
+      result = { imageUrl, imageSource: 'generated' }
+      await cacheAsset(jobId, imageUrl)
+    }
+    await updateScene(jobId, scene.id, result)
+    return result
+  }
+
+  // What the video model is sent as a scene's first frame: an upload MiniMax
+  // doesn't host goes inline, from the cached copy once the upload is gone
+  async function firstFrame(jobId, imageUrl) {
+    if (imageUrl !== frameUrl(jobId)) {
+      return imageUrl
+    }
+    const { media = {}, upload } = await store.get(jobId)
+    const cached = media[imageUrl] && api.mediaPath(media[imageUrl])
+    return api.inlineImage(cached && fs.existsSync(cached) ? cached : upload.path, upload.mimetype)
+  }
+
+  // Submit a scene's clip and poll MiniMax until it is rendered. A clip
+  // submitted before a restart is polled again rather than paid for twice.
+  async function renderVideo(jobId, scene, context) {
+    if (scene.rawVideoUrl) {
+      return { videoTaskId: scene.videoTaskId, rawVideoUrl: scene.rawVideoUrl }
+    }
+    await updateScene(jobId, scene.id, { status: 'video' })
+    let { videoTaskId, videoSubmittedAt = Date.now() } = scene
+    if (!videoTaskId) {
+      ({ taskId: videoTaskId } = await api.generateVideo(await firstFrame(jobId, scene.imageUrl), scene.prompt, context))
+      if (!videoTaskId) {
+        throw new Error('Video generation did not return a task ID')
+      }
+      videoSubmittedAt = Date.now()
+      await updateScene(jobId, scene.id, { videoTaskId, videoSubmittedAt })
+    }
+
+    const deadline = videoSubmittedAt + pollTimeout
+    for (let attempt = 1; Date.now() < deadline; attempt++) {
+      // Cancelling the job stops the polling
+      await delay(pollInterval, undefined, { signal: context.signal })
+      let statusResult
+      try {
+        statusResult = await api.queryVideoStatus(videoTaskId)
+      } catch (error) {
+        logger.warn('Video status check error', { taskId: videoTaskId, error })
+        publish(jobId, 'poll', { stage: 'video', scene: scene.id, taskId: videoTaskId, attempt, error: error.message })
+        continue
+      }
+      publish(jobId, 'poll', { stage: 'video', scene: scene.id, taskId: videoTaskId, attempt, status: statusResult.status })
+
+      if (statusResult.status === 'success') {
+        const result = { videoTaskId, rawVideoUrl: statusResult.videoUrl }
+        await cacheAsset(jobId, result.rawVideoUrl)
+        await updateScene(jobId, scene.id, { ...result, status: 'success' })
+        return result
+      }
+      if (statusResult.status === 'failed') {
+        throw new Error('Video generation failed')
+      }
+    }
+    throw new Error(`Video generation timed out after ${Math.round(pollTimeout / 1000)}s`)
+  }
+
+  // Merge the scenes (in their current order) with the song, from the local
+  // copies where there are any; fall back to the first silent clip rather
+  // than lose it
+  async function mergeJob(jobId) {
+    const job = await store.get(jobId)
+    const { defaults } = presetFor(job)
+    const source = url => job.media?.[url] ? api.mediaPath(job.media[url]) : url
+    const clipUrls = job.scenes.map(scene => scene.rawVideoUrl)
+    try {
+      await runStage(jobId, 'merge', async () => {
+        const merged = await api.mergeVideoAndAudio(clipUrls.map(source), source(job.musicUrl), {
+          // Each revision gets its own file so earlier ones stay playable
+          name: job.revision > 1 ? `${jobId}-r${job.revision}` : jobId,
+          policy: defaults.mergePolicy,
+          transition: defaults.transition,
+          lyrics: job.burnSubtitles ? job.lyrics : undefined,
+          signal: runScope.getStore()?.signal
+        })
+        return {
+          videoUrl: `/api/output/${merged.fileName}`,
+          duration: merged.duration,
+          // The probed length of the song beats the one MiniMax reports
+          musicDuration: merged.audioDuration || job.musicDuration,
+          merged: true,
+          mergeError: undefined
+        }
+      })
+    } catch (mergeError) {
+      // A cancelled merge isn't a failed one
+      runScope.getStore()?.signal.throwIfAborted()
+      logger.error('Merge error', { error: mergeError })
+      await updateJob(jobId, () => ({ videoUrl: clipUrls[0], merged: false, mergeError: mergeError.message }))
+    }
+  }
+
+  // Run a job's stages. A regeneration (`redo`) reruns only some of them,
+  // the first with its own prompt if one was given, and keeps the rest. A
+  // `resume`d run skips the stages that finished before a restart and picks
+  // up the scenes where they were.
+  async function run(jobId, redo = null, { resume = false } = {}) {
+    const job = await store.get(jobId)
+    const { theme } = job
+    // Jobs from before generation options existed use the generator's
+    // defaults. Cancelling the job aborts `signal`.
+    const context = { preset: presetFor(job), options: job.options, signal: runScope.getStore()?.signal }
+    const finished = stage => resume && job.stages[stage].status === 'success'
+    const runs = stage => (!redo || redo.stages.includes(stage)) && !finished(stage)
+    const promptFor = stage => (redo?.prompt && redo.stages[0] === stage ? redo.prompt : theme)
+    await updateJob(jobId, () => ({ status: 'running' }))
+    publish(jobId, 'status', { status: 'running' })
+
+    const visualBranch = async () => {
+      if (runs('image')) {
+        await runStage(jobId, 'image', async () => {
+          const scenes = redo || (resume && job.scenes)
+            ? job.scenes.map(scene => ({ ...scene, prompt: scenePrompt(job, promptFor('image'), scene.description) }))
+            : await planScenes(job)
+          await updateJob(jobId, () => ({ scenes }))
+          const [first] = await forEachScene(jobId, scenes, scene => prepareSceneImage(jobId, job, scene, context, { useUpload: !redo }))
+          return first
+        })
+      }
+      if (runs('video')) {
+        await runStage(jobId, 'video', async () => {
+          let { scenes } = await store.get(jobId)
+          if (redo && promptFor('video') !== theme) {
+            scenes = scenes.map(scene => ({ ...scene, prompt: scenePrompt(job, promptFor('video'), scene.description) }))
+            await updateJob(jobId, () => ({ scenes }))
+          }
+          const [first] = await forEachScene(jobId, scenes, scene => queue.limit('video', () => renderVideo(jobId, scene, context), { signal: context.signal }))
+          return first
+        })
+      }
+    }
+
+    const audioBranch = async () => {
+      let { lyrics } = job
+      if (runs('lyrics')) {
+        // Lyrics the user already reviewed go straight to the music model
+        ({ lyrics } = await runStage(jobId, 'lyrics', async () => job.lyrics && !redo
+          ? { lyrics: job.lyrics, lyricsSource: 'user' }
+          : { lyrics: await queue.limit('lyrics', () => api.generateLyrics(promptFor('lyrics'), context), { signal: context.signal }), lyricsSource: 'generated' }))
+      }
+      if (runs('music')) {
+        await runStage(jobId, 'music', async () => {
+          const { audioUrl, duration } = await queue.limit('music', () => api.generateMusic(promptFor('music'), lyrics, context), { signal: context.signal })
+          if (!audioUrl) {
+            throw new Error('Music generation did not return an audio URL')
+          }
+          await cacheAsset(jobId, audioUrl)
+          return { musicUrl: audioUrl, musicDuration: duration }
+        })
+      }
+    }
+
+    // Let both branches finish so anything already paid for is kept
+    const [video, music] = await Promise.allSettled([visualBranch(), audioBranch()])
+    const failed = [video, music].find(result => result.status === 'rejected')
+    if (failed && redo) {
+      await restoreRevision(jobId, failed.reason.message)
+      return
+    }
+    if (failed) {
+      await finishJob(jobId, { status: 'failed', error: failed.reason.message })
+      return
+    }
+
+    await mergeJob(jobId)
+    await finishJob(jobId, { status: 'success' })
+  }
+
+  // Go back to the revision a failed regeneration was replacing; the
+  // opening still works
+  async function restoreRevision(jobId, error) {
+    const { revisions } = await store.get(jobId)
+    return finishJob(jobId, {
+      ...revisions[revisions.length - 1],
+      revisions: revisions.slice(0, -1),
+      status: 'success',
+      regenerateError: error
+    })
+  }
+
+  // Regenerate one part of a finished opening in the background. The current
+  // assets are kept as a revision; the new ones become the opening.
+  // `billedBefore` lets budget checks count only this run's spend against
+  // its estimate.
+  async function regenerate(jobId, { part, prompt, estimate, billedBefore = 0, requestId = logger.context().requestId }) {
+    const stages = REGENERATE_PARTS[part]
+    const job = await updateJob(jobId, job => ({
+      status: 'queued',
+      requestId,
+      revisions: [...(job.revisions || []), snapshotRevision({ ...job, revision: job.revision || 1 })],
+      revision: (job.revision || 1) + 1,
+      regenerated: { part, prompt },
+      regenerateError: undefined,
+      estimate,
+      billedBefore,
+      stages: { ...job.stages, ...Object.fromEntries([...stages, 'merge'].map(name => [name, { status: 'pending' }])) },
+      // The scenes lose what is being redone (the revision keeps it), so a
+      // resumed run can tell new frames and clips from old ones
+      scenes: job.scenes?.map(scene => stages.includes('image')
+        ? { id: scene.id, description: scene.description, prompt: scene.prompt, status: 'pending' }
+        : stages.includes('video')
+          ? { ...scene, videoTaskId: undefined, videoSubmittedAt: undefined, rawVideoUrl: undefined, error: undefined, status: 'pending' }
+          : scene)
+    }))
+    publish(jobId, 'status', { status: 'queued' })
+    enqueue(job, 'regenerate', () => run(jobId, { stages, prompt }))
+
+    return job
+  }
+
+  // Put a finished storyboard's scenes in a new order and merge it again
+  async function reorderScenes(jobId, order) {
+    const job = await store.get(jobId)
+    const scenes = order.map(id => job.scenes.find(scene => scene.id === id))
+    await updateJob(jobId, () => ({ scenes, status: 'running' }))
+    publish(jobId, 'status', { status: 'running' })
+
+    logger.withContext({ jobId }, () => mergeJob(jobId))
+      .then(() => finishJob(jobId, { status: 'success' }))
+      .catch(async error => {
+        logger.error('Pipeline error', { jobId, error })
+        await finishJob(jobId, { status: 'failed', error: error.message }).catch(() => {})
+      })
+
+    return store.get(jobId)
+  }
+
+  // Create a job and queue it; its stages run in the background once it
+  // reaches the front of the line
+  async function start({ theme, preset = presets.defaultId, options, upload, storyboard, lyrics, burnSubtitles = false, userId, estimate, callbackUrl, requestId = logger.context().requestId }) {
+    const jobId = crypto.randomUUID()
+    const stages = Object.fromEntries(STAGES.map(name => [name, { status: 'pending' }]))
+    const job = await store.set(jobId, { theme, preset, options, upload, storyboard, lyrics, burnSubtitles, userId, estimate, callbackUrl, requestId, status: 'queued', stages })
+    enqueue(job, 'generate', () => run(jobId))
+
+    return job
+  }
+
+  // Pick up the jobs a restart interrupted, in the order they were in line.
+  // Finished stages are kept and MiniMax tasks already submitted are polled
+  // again, so they finish without a browser waiting on them. Jobs from
+  // before stages were tracked, and ones left for longer than `resumeMaxAge`,
+  // fail instead. Resolves with the IDs of the resumed jobs.
+  async function resume() {
+    const rank = job => (job.status === 'queued' ? 1 : 0)
+    const interrupted = (await store.list())
+      .filter(job => ['queued', 'running', 'processing', 'merging'].includes(job.status) && !activeRuns.has(job.id))
+      .sort((a, b) => rank(a) - rank(b) || a.createdAt - b.createdAt)
+
+    const resumed = []
+    for (const job of interrupted) {
+      const redoStages = job.stages && job.revisions?.length && REGENERATE_PARTS[job.regenerated?.part]
+      const redo = redoStages && redoStages.some(stage => job.stages[stage].status !== 'success')
+        ? { stages: redoStages, prompt: job.regenerated.prompt }
+        : null
+      if (!job.stages || Date.now() - job.updatedAt > resumeMaxAge) {
+        logger.warn('Interrupted job abandoned', { jobId: job.id })
+        await (redo
+          ? restoreRevision(job.id, 'Interrupted by a server restart')
+          : finishJob(job.id, { status: 'failed', error: 'Interrupted by a server restart' }))
+        continue
+      }
+
+      // A regeneration carries on as one; anything else that was already
+      // merged was being merged again after a reorder
+      const kind = redo ? 'regenerate' : job.videoUrl ? 'reorder' : 'generate'
+      logger.info('Resuming job', { jobId: job.id, kind })
+      enqueue(job, kind, () => run(job.id, redo, { resume: true }))
+      resumed.push(job.id)
+    }
+    return resumed
+  }
+
+  // Put a run of a job in line. `kind` is `generate` or `regenerate`, or
+  // `reorder` for a resumed merge, which can't be cancelled.
+  function enqueue(job, kind, task) {
+    const controller = new AbortController()
+    const entry = { kind, controller }
+    activeRuns.set(job.id, entry)
+
+    queue.add(job.id, () => {
+      // This job leaving the line moves everyone behind it up
+      publishQueue()
+      // MiniMax calls made by this run are billed to the job in the usage
+      // ledger, and log lines carry the job and the request that started it
+      return logger.withContext({ jobId: job.id, requestId: job.requestId }, () =>
+        usageScope.run({ jobId: job.id, userId: job.userId }, () =>
+          runScope.run({ signal: controller.signal }, task)))
+    }).catch(async error => {
+      if (controller.signal.aborted) {
+        return
+      }
+      logger.error('Pipeline error', { jobId: job.id, error })
+      await finishJob(job.id, { status: 'failed', error: error.message }).catch(() => {})
+    }).finally(() => {
+      if (activeRuns.get(job.id) === entry) {
+        activeRuns.delete(job.id)
+      }
+    })
+    publishQueue()
+  }
+
+  // Stop a queued or running generation. Stages that haven't started never
+  // will, MiniMax is no longer polled and ffmpeg is stopped; whatever the run
+  // was doing finishes without being saved. A regeneration goes back to the
+  // revision it was replacing, anything else ends `cancelled`. Resolves with
+  // the job and the files only the cancelled run made (`media` names and
+  // merged `outputs`) for the caller to delete, or null when nothing is running.
+  async function cancel(jobId) {
+    const current = activeRuns.get(jobId)
+    const before = current && current.kind !== 'reorder' && await store.get(jobId)
+    if (!before || !['queued', 'running'].includes(before.status)) {
+      return null
+    }
+    activeRuns.delete(jobId)
+    const reason = new Error('Job cancelled')
+    current.controller.abort(reason)
+    if (queue.remove(jobId, reason)) {
+      publishQueue()
+    }
+
+    const cancelStage = stage => ['pending', 'running'].includes(stage.status)
+      ? { ...stage, status: 'cancelled', finishedAt: stage.startedAt ? Date.now() : undefined }
+      : stage
+    const stages = Object.fromEntries(Object.entries(before.stages).map(([name, stage]) => [name, cancelStage(stage)]))
+
+    const job = await updateJob(jobId, job => {
+      if (current.kind === 'regenerate') {
+        const previous = job.revisions[job.revisions.length - 1]
+        const restored = { ...job, ...previous, revisions: job.revisions.slice(0, -1) }
+        const used = new Set([restored, ...restored.revisions].flatMap(assetUrls))
+        return {
+          ...previous,
+          revisions: restored.revisions,
+          status: 'success',
+          regenerateError: 'Cancelled',
+          stages,
+          media: Object.fromEntries(Object.entries(job.media || {}).filter(([url]) => used.has(url)))
+        }
+      }
+      return {
+        status: 'cancelled',
+        cancelledAt: Date.now(),
+        stages,
+        scenes: job.scenes?.map(scene => ['success', 'failed'].includes(scene.status) ? scene : { ...scene, status: 'cancelled' }),
+        media: {}
+      }
+    })
+    publish(jobId, 'done', { job: toPublicJob(job) })
+
+    const kept = new Set(Object.values(job.media || {}))
+    return {
+      job,
+      media: [...new Set(Object.values(before.media || {}))].filter(name => !kept.has(name)),
+      outputs: [before.revision > 1 ? `${jobId}-r${before.revision}.mp4` : `${jobId}.mp4`]
+    }
+  }
+
+  // Where a queued job stands in line, or null once it has started
+  function queueStatus(jobId) {
+    return queue.status(jobId)
+  }
+
+  return { start, run, regenerate, reorderScenes, resume, cancel, queueStatus, events }
+}
+
+module.exports = {
+  STAGES,
+  REGENERATE_PARTS,
+  MAX_SCENES,
+  createPipeline,
+  summarizeStatus,
+  toPublicJob
+}
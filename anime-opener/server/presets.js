@@ -0,0 +1,206 @@
+const fs = require('fs')
+const path = require('path')
+const { MERGE_POLICIES, SCENE_TRANSITIONS } = require('./merge')
+const { MAX_SCENES } = require('./pipeline')
+const { pickOptions, validateOptions } = require('./options')
+const { logger } = require('./logger')
+
+// Preset configuration: extra presets are read from *.json files in this directory
+const PRESETS_DIR = process.env.PRESETS_DIR || path.join(__dirname, 'custom-presets')
+const DEFAULT_PRESET = 'classic'
+
+// Prompt templates every preset provides; `{theme}` is replaced with the
+// theme (or, in storyboard mode, the theme plus the scene's shot)
+const TEMPLATE_NAMES = ['lyrics', 'music', 'image', 'video']
+
+// Built-in presets. `defaults` are the merge settings, storyboard length and
+// generation options (see options.js) the preset suits; settings a preset
+// leaves out use the server's defaults.
+const BUILT_IN_PRESETS = [
+  {
+    id: 'classic',
+    name: 'Classic Opening',
+    description: 'Dramatic, emotional J-pop with a full band',
+    prompts: {
+      lyrics: 'Anime opening song about: {theme}. Write a dramatic, emotional J-pop style song with verse, chorus, bridge structure.',
+      music: 'Anime J-Pop opening, {theme}, emotional, dramatic, high energy, catchy melody, with drums, bass, guitar, synth',
+      image: '{theme}, anime style, beautiful vibrant colors, high quality',
+      video: 'Anime style video, {theme}, dynamic camera movement, dramatic lighting, anime aesthetic, smooth motion, cinematic'
+    },
+    defaults: { sceneCount: 6 }
+  },
+  {
+    id: 'shonen-battle',
+    name: 'Shonen Battle',
+    description: 'Fast rock, rivals and power-ups',
+    prompts: {
+      lyrics: 'Shonen anime opening song about: {theme}. Write a fierce, triumphant rock anthem about rivals, training and never giving up, with verse, pre-chorus, chorus and bridge.',
+      music: 'Japanese rock anime opening, {theme}, fast tempo, distorted electric guitars, pounding drums, heroic shout-along chorus',
+      image: '{theme}, shonen anime key visual, hero mid-attack, speed lines, glowing energy aura, bold colors',
+      video: 'Shonen anime fight scene, {theme}, explosive impacts, speed lines, fast camera whip pans, energy blasts, cinematic'
+    },
+    defaults: { transition: 'cut', sceneCount: 10 }
+  },
+  {
+    id: 'mecha',
+    name: 'Mecha',
+    description: 'Giant robots, brass and synths',
+    prompts: {
+      lyrics: 'Mecha anime opening song about: {theme}. Write a soaring, heroic song about pilots, duty and the future, with verse, chorus and bridge.',
+      music: 'Mecha anime opening, {theme}, orchestral brass, driving synth bass, epic drums, heroic male vocals',
+      image: '{theme}, mecha anime key visual, giant robot in a hangar, dramatic backlight, detailed mechanical design',
+      video: 'Mecha anime sequence, {theme}, giant robot launch, thrusters firing, sweeping camera, lens flares, cinematic'
+    },
+    defaults: { sceneCount: 8 }
+  },
+  {
+    id: 'idol',
+    name: 'Idol',
+    description: 'Bright, bouncy idol pop',
+    prompts: {
+      lyrics: 'Idol anime opening song about: {theme}. Write a bright, sparkling pop song about dreams, friendship and the stage, with a catchy call-and-response chorus.',
+      music: 'Idol J-pop anime opening, {theme}, upbeat, bouncy synths, handclaps, cute female group vocals, sparkling chorus',
+      image: '{theme}, idol anime key visual, girls on a concert stage, pastel lights, sparkles, cheerful',
+      video: 'Idol anime concert, {theme}, synchronized dance, stage lights sweeping, confetti, bright cheerful colors'
+    },
+    defaults: { transition: 'cut', sceneCount: 8 }
+  },
+  {
+    id: 'slice-of-life',
+    name: 'Slice of Life',
+    description: 'Gentle acoustic pop and everyday moments',
+    prompts: {
+      lyrics: 'Slice-of-life anime opening song about: {theme}. Write a warm, gentle song about everyday moments and friendship, with verse and chorus.',
+      music: 'Slice of life anime opening, {theme}, warm acoustic guitar, soft piano, light percussion, gentle female vocals',
+      image: '{theme}, slice of life anime, soft afternoon light, cozy town, watercolor background',
+      video: 'Slice of life anime scene, {theme}, gentle slow camera pan, soft sunlight, drifting petals, calm atmosphere'
+    },
+    defaults: { mergePolicy: 'hold', sceneCount: 5 }
+  },
+  {
+    id: 'isekai',
+    name: 'Isekai',
+    description: 'Fantasy adventure in another world',
+    prompts: {
+      lyrics: 'Isekai anime opening song about: {theme}. Write an adventurous, hopeful song about waking up in another world and a new journey, with verse, chorus and bridge.',
+      music: 'Isekai fantasy anime opening, {theme}, orchestral strings, celtic flute, driving drums, hopeful soaring melody',
+      image: '{theme}, isekai fantasy anime key visual, vast magical kingdom, floating islands, adventurer party',
+      video: 'Fantasy anime adventure, {theme}, sweeping aerial shot over a magical world, spell effects, cinematic'
+    },
+    defaults: { sceneCount: 8 }
+  },
+  {
+    id: 'magical-girl',
+    name: 'Magical Girl',
+    description: 'Transformations, ribbons and sparkles',
+    prompts: {
+      lyrics: 'Magical girl anime opening song about: {theme}. Write a sparkling, brave song about transformation, love and protecting friends, with verse, chorus and bridge.',
+      music: 'Magical girl anime opening, {theme}, sparkling synths, bells, upbeat pop rhythm, bright female vocals',
+      image: '{theme}, magical girl anime key visual, transformation pose, ribbons, stars, pastel colors',
+      video: 'Magical girl transformation sequence, {theme}, swirling ribbons, sparkles, spinning camera, glowing light'
+    },
+    defaults: { sceneCount: 6 }
+  }
+]
+
+// Check a preset against the built-in shape; returns an error message or null
+function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object') {
+    return 'must be an object'
+  }
+  if (typeof preset.id !== 'string' || !/^[a-z0-9-]+$/.test(preset.id)) {
+    return 'id must be lower-case letters, digits and dashes'
+  }
+  if (typeof preset.name !== 'string' || !preset.name.trim()) {
+    return 'name is required'
+  }
+  for (const name of TEMPLATE_NAMES) {
+    const template = preset.prompts?.[name]
+    if (template !== undefined && (typeof template !== 'string' || !template.includes('{theme}'))) {
+      return `prompts.${name} must be a string containing {theme}`
+    }
+  }
+  const defaults = preset.defaults || {}
+  if (defaults.mergePolicy !== undefined && !MERGE_POLICIES.includes(defaults.mergePolicy)) {
+    return `defaults.mergePolicy must be one of: ${MERGE_POLICIES.join(', ')}`
+  }
+  if (defaults.transition !== undefined && !SCENE_TRANSITIONS.includes(defaults.transition)) {
+    return `defaults.transition must be one of: ${SCENE_TRANSITIONS.join(', ')}`
+  }
+  if (defaults.sceneCount !== undefined && !(Number.isInteger(defaults.sceneCount) && defaults.sceneCount >= 1 && defaults.sceneCount <= MAX_SCENES)) {
+    return `defaults.sceneCount must be a whole number between 1 and ${MAX_SCENES}`
+  }
+  const [optionError] = validateOptions(pickOptions(defaults))
+  if (optionError) {
+    return `defaults: ${optionError.replace(/^options\./, '')}`
+  }
+  return null
+}
+
+// Read the custom presets in `dir`. Templates and defaults a preset leaves
+// out come from the classic preset; a custom preset may replace a built-in.
+function loadCustomPresets(dir) {
+  if (!fs.existsSync(dir)) {
+    return []
+  }
+  const base = BUILT_IN_PRESETS.find(preset => preset.id === DEFAULT_PRESET)
+  const presets = []
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    let preset
+    try {
+      preset = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+    } catch (error) {
+      logger.warn('Skipping preset', { file, error })
+      continue
+    }
+    const error = validatePreset(preset)
+    if (error) {
+      logger.warn('Skipping preset', { file, error })
+      continue
+    }
+    presets.push({
+      ...preset,
+      description: preset.description || '',
+      prompts: { ...base.prompts, ...preset.prompts },
+      defaults: { ...base.defaults, ...preset.defaults },
+      custom: true
+    })
+  }
+  return presets
+}
+
+// Fill a template's placeholders
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match)
+}
+
+// The built-in presets plus any custom ones, read once when created
+function createPresetRegistry({ dir = PRESETS_DIR } = {}) {
+  const presets = new Map(BUILT_IN_PRESETS.map(preset => [preset.id, preset]))
+  for (const preset of loadCustomPresets(dir)) {
+    presets.set(preset.id, preset)
+  }
+
+  return {
+    defaultId: DEFAULT_PRESET,
+
+    list() {
+      return [...presets.values()]
+    },
+
+    // Look up a preset; no ID means the default
+    get(id = DEFAULT_PRESET) {
+      return presets.get(id || DEFAULT_PRESET) || null
+    }
+  }
+}
+
+module.exports = {
+  BUILT_IN_PRESETS,
+  DEFAULT_PRESET,
+  TEMPLATE_NAMES,
+  createPresetRegistry,
+  renderTemplate,
+  validatePreset
+}
@@ -0,0 +1,176 @@
+// Queue configuration: how many jobs run at once; the rest wait in line
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2
+
+// How many MiniMax requests of each type may be in flight at once, across
+// every running job. A video holds its slot until it has rendered, since
+// running video tasks are what the account's concurrency limit counts.
+const ENDPOINT_CONCURRENCY = {
+  image: Number(process.env.IMAGE_CONCURRENCY) || 4,
+  video: Number(process.env.VIDEO_CONCURRENCY) || 2,
+  music: Number(process.env.MUSIC_CONCURRENCY) || 2,
+  lyrics: Number(process.env.LYRICS_CONCURRENCY) || 4
+}
+
+// Assumed job length for ETAs until some jobs have finished
+const DEFAULT_JOB_SECONDS = 180
+// Finished jobs the average job length is taken over
+const DURATION_SAMPLES = 10
+
+// First-in, first-out semaphore: at most `limit` tasks run at once
+function createLimiter(limit) {
+  let active = 0
+  const waiting = []
+
+  function next() {
+    while (active < limit && waiting.length) {
+      active++
+      waiting.shift().start()
+    }
+  }
+
+  return {
+    limit,
+
+    get active() {
+      return active
+    },
+
+    // Keys of the tasks waiting for a slot, first in line first
+    get waiting() {
+      return waiting.map(entry => entry.key)
+    },
+
+    // Run `task` once a slot is free; `key` identifies it in the line.
+    // Aborting `signal` takes a waiting task out of the line, rejecting
+    // with the abort reason; a started task is left to finish.
+    run(task, key, { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(signal.reason)
+          return
+        }
+        const onAbort = () => {
+          const index = waiting.indexOf(entry)
+          if (index !== -1) {
+            waiting.splice(index, 1)
+            reject(signal.reason)
+          }
+        }
+        const entry = {
+          key,
+          reject,
+          start: () => {
+            signal?.removeEventListener('abort', onAbort)
+            Promise.resolve()
+              .then(task)
+              .then(resolve, reject)
+              .finally(() => {
+                active--
+                next()
+              })
+          }
+        }
+        signal?.addEventListener('abort', onAbort, { once: true })
+        waiting.push(entry)
+        next()
+      })
+    },
+
+    // Take a task out of the line before it starts; its promise rejects
+    // with `reason`. Returns whether it was waiting.
+    remove(key, reason) {
+      const index = waiting.findIndex(entry => entry.key === key)
+      if (index === -1) {
+        return false
+      }
+      const [entry] = waiting.splice(index, 1)
+      entry.reject(reason)
+      return true
+    }
+  }
+}
+
+// Queue for pipeline jobs, plus per-endpoint limits on the MiniMax calls they make
+function createJobQueue({ concurrency = JOB_CONCURRENCY, endpoints = ENDPOINT_CONCURRENCY } = {}) {
+  const jobs = createLimiter(concurrency)
+  const limiters = Object.fromEntries(Object.entries(endpoints).map(([type, limit]) => [type, createLimiter(limit)]))
+  // When each running job started, and how long recent jobs took (ms)
+  const running = new Map()
+  const durations = []
+
+  function averageDuration() {
+    if (!durations.length) {
+      return DEFAULT_JOB_SECONDS * 1000
+    }
+    return durations.reduce((sum, duration) => sum + duration, 0) / durations.length
+  }
+
+  return {
+    // Run a job once it reaches the front of the line and a slot is free
+    add(jobId, task) {
+      return jobs.run(async () => {
+        const startedAt = Date.now()
+        running.set(jobId, startedAt)
+        try {
+          return await task()
+        } finally {
+          running.delete(jobId)
+          durations.push(Date.now() - startedAt)
+          if (durations.length > DURATION_SAMPLES) {
+            durations.shift()
+          }
+        }
+      }, jobId)
+    },
+
+    // Run one MiniMax request once a slot for its type is free; types
+    // without a limit run straight away. Aborting `signal` (the job was
+    // cancelled) drops a request still waiting for its slot.
+    limit(type, task, { signal } = {}) {
+      const limiter = limiters[type]
+      if (!limiter) {
+        signal?.throwIfAborted()
+        return task()
+      }
+      return limiter.run(task, type, { signal })
+    },
+
+    waiting() {
+      return jobs.waiting
+    },
+
+    // Drop a job that hasn't started yet; its `add` promise rejects with `reason`
+    remove(jobId, reason) {
+      return jobs.remove(jobId, reason)
+    },
+
+    // A waiting job's place in line (1 is next) and an estimate of when it
+    // starts, or null once it is running. The estimate assumes every job
+    // takes as long as recent ones did on average.
+    status(jobId, now = Date.now()) {
+      const position = jobs.waiting.indexOf(jobId) + 1
+      if (!position) {
+        return null
+      }
+
+      const average = averageDuration()
+      // When each slot frees up: running jobs first, then the jobs ahead in line
+      const slots = [...running.values()].map(startedAt => Math.max(0, startedAt + average - now))
+      while (slots.length < concurrency) {
+        slots.push(0)
+      }
+      for (let ahead = 1; ahead < position; ahead++) {
+        slots.sort((a, b) => a - b)
+        slots[0] += average
+      }
+      return { position, eta: Math.round(Math.min(...slots) / 1000) }
+    }
+  }
+}
+
+module.exports = {
+  ENDPOINT_CONCURRENCY,
+  JOB_CONCURRENCY,
+  createJobQueue,
+  createLimiter
+}
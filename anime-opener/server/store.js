@@ -0,0 +1,109 @@
+const fs = require('fs')
+const path = require('path')
+const { logger } = require('./logger')
+
+// Job store configuration
+const JOB_STORE = process.env.JOB_STORE || 'jsonl'
+const JOB_STORE_PATH = process.env.JOB_STORE_PATH || path.join(__dirname, 'data', 'jobs.jsonl')
+
+// Map-backed store; `persist` is told about every write and delete
+function createMapStore(records = new Map(), persist = {}) {
+  return {
+    async get(id) {
+      const record = records.get(String(id))
+      return record ? { ...record } : null
+    },
+    async set(id, record) {
+      const now = Date.now()
+      const saved = { ...record, id: String(id), createdAt: record.createdAt || now, updatedAt: now }
+      records.set(saved.id, saved)
+      persist.write?.(saved)
+      return { ...saved }
+    },
+    async update(id, patch) {
+      const existing = records.get(String(id))
+      if (!existing) {
+        return null
+      }
+      return this.set(id, { ...existing, ...patch })
+    },
+    async delete(id) {
+      const existed = records.delete(String(id))
+      if (existed) {
+        persist.remove?.(String(id))
+      }
+      return existed
+    },
+    async list() {
+      return [...records.values()].map(record => ({ ...record }))
+    }
+  }
+}
+
+// In-memory store (state is lost on restart; handy for tests)
+function createMemoryStore() {
+  return createMapStore()
+}
+
+// File-backed store: every write appends the full record as one JSON line.
+// The log is replayed (last line wins) and compacted when the store opens.
+function createJsonlStore({ filePath = JOB_STORE_PATH } = {}) {
+  const records = new Map()
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n')
+    for (const line of lines) {
+      if (!line.trim()) continue
+      try {
+        const entry = JSON.parse(line)
+        if (entry.deleted) {
+          records.delete(entry.id)
+        } else {
+          records.set(entry.id, entry)
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line; skip it
+        logger.warn('Skipping corrupt job store line', { error })
+      }
+    }
+  }
+
+  // Rewrite the log with one line per live record
+  const compacted = [...records.values()].map(record => JSON.stringify(record) + '\n').join('')
+  fs.writeFileSync(filePath, compacted)
+
+  const append = entry => fs.appendFileSync(filePath, JSON.stringify(entry) + '\n')
+
+  return createMapStore(records, {
+    write: append,
+    remove: id => append({ id, deleted: true })
+  })
+}
+
+// Store backends by name; register more (e.g. a database) with registerStoreBackend
+const backends = {
+  memory: createMemoryStore,
+  jsonl: createJsonlStore
+}
+
+function registerStoreBackend(name, factory) {
+  backends[name] = factory
+}
+
+// Create the job store configured by JOB_STORE (defaults to the JSON-lines file)
+function createJobStore(type = JOB_STORE, options = {}) {
+  const factory = backends[type]
+  if (!factory) {
+    throw new Error(`Unknown job store "${type}". Available: ${Object.keys(backends).join(', ')}`)
+  }
+  return factory(options)
+}
+
+module.exports = {
+  createJobStore,
+  createMemoryStore,
+  createJsonlStore,
+  registerStoreBackend
+}
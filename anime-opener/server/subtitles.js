@@ -0,0 +1,119 @@
+// Timed lyric subtitles: spread the generated lyrics over the song and
+// render them as WebVTT (with karaoke word timings) or SRT
+
+// Relative time a line gets in each kind of section. Intros, bridges and
+// outros are sung slower than verses; unknown sections count as verses.
+const SECTION_WEIGHTS = {
+  intro: 1.5,
+  verse: 1,
+  'pre-chorus': 1,
+  chorus: 1.2,
+  bridge: 1.4,
+  outro: 1.5
+}
+
+// Share of the song before the first line and after the last one
+const LEAD_IN = 0.05
+const TAIL = 0.05
+
+// Split "[Verse 1]"-style lyrics into sections of non-empty lines
+function parseLyrics(lyrics) {
+  const sections = []
+  let current = null
+
+  for (const rawLine of String(lyrics || '').split(/\r?\n/)) {
+    const line = rawLine.trim()
+    const header = line.match(/^\[(.+)\]$/)
+    if (header) {
+      current = { name: header[1].trim(), lines: [] }
+      sections.push(current)
+    } else if (line) {
+      if (!current) {
+        current = { name: 'Verse', lines: [] }
+        sections.push(current)
+      }
+      current.lines.push(line)
+    }
+  }
+  return sections.filter(section => section.lines.length)
+}
+
+// "Verse 2" → verse, "Pre-Chorus" → pre-chorus
+function sectionWeight(name) {
+  const kind = name.toLowerCase().replace(/\s*\d+$/, '')
+  return SECTION_WEIGHTS[kind] || 1
+}
+
+// Words in a line, which sets how long it takes to sing
+function countWords(line) {
+  return line.split(/\s+/).filter(Boolean).length
+}
+
+// Turn lyrics into cues spread across `duration` seconds
+function timeLyrics(lyrics, duration) {
+  const lines = parseLyrics(lyrics).flatMap(section => section.lines.map(text => ({
+    text,
+    section: section.name,
+    weight: sectionWeight(section.name) * (1 + countWords(text))
+  })))
+  if (!lines.length || !(duration > 0)) {
+    return []
+  }
+
+  const start = duration * LEAD_IN
+  const scale = duration * (1 - LEAD_IN - TAIL) / lines.reduce((sum, line) => sum + line.weight, 0)
+  let at = start
+  return lines.map(({ text, section, weight }) => {
+    const cue = { start: at, end: at + weight * scale, text, section }
+    at = cue.end
+    return cue
+  })
+}
+
+// 75.5 → "00:01:15.500" (or "00:01:15,500" for SRT)
+function formatTimestamp(seconds, separator = '.') {
+  const ms = Math.round(seconds * 1000)
+  const pad = (value, length = 2) => String(value).padStart(length, '0')
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`
+}
+
+const escapeVtt = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+// Give each word of a cue its own timestamp so players can colour the line
+// as it is sung
+function karaokeText(cue) {
+  const words = cue.text.split(/\s+/).filter(Boolean)
+  const step = (cue.end - cue.start) / words.length
+  return words
+    .map((word, i) => (i === 0 ? '' : `<${formatTimestamp(cue.start + i * step)}>`) + escapeVtt(word))
+    .join(' ')
+}
+
+function toWebVTT(cues) {
+  // Cue IDs carry the section name, e.g. "7 Chorus", for players that show it
+  const blocks = cues.map((cue, i) =>
+    `${i + 1} ${cue.section}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${karaokeText(cue)}`
+  )
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n'
+}
+
+function toSRT(cues) {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`)
+    .join('\n\n') + '\n'
+}
+
+const SUBTITLE_FORMATS = {
+  vtt: { contentType: 'text/vtt; charset=utf-8', render: toWebVTT },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', render: toSRT }
+}
+
+module.exports = {
+  SECTION_WEIGHTS,
+  SUBTITLE_FORMATS,
+  parseLyrics,
+  timeLyrics,
+  formatTimestamp,
+  toWebVTT,
+  toSRT
+}
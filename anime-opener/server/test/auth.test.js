@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { hashPassword, parseCookies, parseCredentials, verifyPassword } = require('../auth')
+
+describe('auth', () => {
+  it('parses token and user lists', () => {
+    assert.deepEqual(parseCredentials('alice:abc123, ops:s3cret:admin', 'API_TOKENS'), [
+      { id: 'alice', secret: 'abc123', role: 'user' },
+      { id: 'ops', secret: 's3cret', role: 'admin' }
+    ])
+    assert.deepEqual(parseCredentials('', 'API_TOKENS'), [])
+    assert.throws(() => parseCredentials('alice', 'AUTH_USERS'), /AUTH_USERS entries must look like name:secret/)
+    assert.throws(() => parseCredentials('bad name:pw', 'AUTH_USERS'), /AUTH_USERS entries/)
+  })
+
+  it('checks hashed and plain passwords', () => {
+    const hash = hashPassword('hunter2')
+
+    assert.match(hash, /^scrypt\$[a-f0-9]{32}\$[a-f0-9]{64}$/)
+    assert.equal(verifyPassword('hunter2', hash), true)
+    assert.equal(verifyPassword('hunter3', hash), false)
+    assert.equal(verifyPassword('plain', 'plain'), true)
+    assert.equal(verifyPassword('plain', 'other'), false)
+  })
+
+  it('reads cookies', () => {
+    assert.deepEqual(parseCookies('session=abc; theme=dark%20mode; broken'), { session: 'abc', theme: 'dark mode' })
+    assert.deepEqual(parseCookies(undefined), {})
+  })
+})
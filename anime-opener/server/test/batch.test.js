@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { parseCsv, readManifest, runBatch, estimateBatch } = require('../batch')
+const { startTestServer } = require('./helpers')
+
+const FRAME = path.join(__dirname, '..', 'mock', 'assets', 'frame.png')
+
+describe('batch generation', () => {
+  let dir
+  let server
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anime-opener-batch-'))
+  })
+
+  afterEach(async () => {
+    await server?.close()
+    server = null
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  // Write a manifest next to a copy of the mock frame
+  function writeManifest(name, content) {
+    fs.copyFileSync(FRAME, path.join(dir, 'frame.png'))
+    const filePath = path.join(dir, name)
+    fs.writeFileSync(filePath, content)
+    return filePath
+  }
+
+  it('parses quoted CSV fields', () => {
+    assert.deepEqual(parseCsv('theme,preset\n"Rivals, reunited",mecha\r\n"Say ""hi""\nagain",\n'), [
+      ['theme', 'preset'],
+      ['Rivals, reunited', 'mecha'],
+      ['Say "hi"\nagain', '']
+    ])
+  })
+
+  it('reads CSV and JSON manifests', () => {
+    const csv = readManifest(writeManifest('themes.csv', [
+      'theme,image,scenes,videoDuration,burnSubtitles',
+      'Space pirates,frame.png,Launch|Battle,10,true',
+      'Tea party,,,,'
+    ].join('\n')))
+
+    assert.equal(csv[0].id, '001-space-pirates')
+    assert.equal(csv[0].image, path.join(dir, 'frame.png'))
+    assert.deepEqual(csv[0].scenes, ['Launch', 'Battle'])
+    assert.deepEqual(csv[0].options, { videoDuration: 10 })
+    assert.equal(csv[0].burnSubtitles, true)
+    assert.deepEqual(csv[1].options, {})
+
+    const json = readManifest(writeManifest('themes.json', JSON.stringify({
+      entries: [{ id: 'Opening One', theme: 'Robots', options: { videoResolution: '768P' }, musicModel: 'music-2.0' }]
+    })))
+    assert.equal(json[0].id, 'opening-one')
+    assert.deepEqual(json[0].options, { videoResolution: '768P', musicModel: 'music-2.0' })
+  })
+
+  it('rejects broken manifests', () => {
+    assert.throws(() => readManifest(writeManifest('a.json', '[{"preset":"mecha"}]')), /Entry 1 needs a theme/)
+    assert.throws(() => readManifest(writeManifest('b.json', '[{"theme":"A","colour":"red"}]')), /unknown fields: colour/)
+    assert.throws(() => readManifest(writeManifest('c.json', '[{"theme":"A","image":"missing.png"}]')), /image missing\.png not found/)
+    fs.writeFileSync(path.join(dir, 'loop.gif'), 'GIF89a')
+    assert.throws(() => readManifest(writeManifest('e.json', '[{"theme":"A","image":"loop.gif"}]')), /image loop\.gif must be a PNG, JPEG or WebP file/)
+    assert.throws(() => readManifest(writeManifest('d.json', '[{"theme":"A","id":"x"},{"theme":"B","id":"x"}]')), /share the ID "x"/)
+  })
+
+  it('writes each opening to its own directory and skips finished ones on the next run', async () => {
+    // Without a merge the silent clip is the video, which the test can download
+    server = await startTestServer({ appOptions: { mergeVideoAndAudio: async () => { throw new Error('no ffmpeg') } } })
+    const entries = readManifest(writeManifest('themes.json', JSON.stringify([
+      { theme: 'Space pirates', image: 'frame.png' },
+      { theme: 'Tea party', preset: 'no-such-preset' }
+    ])))
+    const outDir = path.join(dir, 'out')
+    const logs = []
+
+    const results = await runBatch({ entries, outDir, baseUrl: server.url, pollInterval: 10, log: line => logs.push(line) })
+    assert.deepEqual(results.map(result => result.status), ['success', 'failed'])
+    assert.equal(results[1].error, 'Unknown preset "no-such-preset"')
+
+    const pirates = path.join(outDir, '001-space-pirates')
+    assert.deepEqual(fs.readdirSync(pirates).sort(), ['audio.mp3', 'image.png', 'lyrics.srt', 'lyrics.txt', 'metadata.json', 'video.mp4'])
+    const metadata = JSON.parse(fs.readFileSync(path.join(pirates, 'metadata.json'), 'utf8'))
+    assert.equal(metadata.status, 'success')
+    assert.equal(metadata.theme, 'Space pirates')
+    assert.ok(metadata.jobId)
+    assert.ok(metadata.estimate.total > 0)
+
+    const again = await runBatch({ entries, outDir, baseUrl: server.url, pollInterval: 10, log: line => logs.push(line) })
+    assert.equal(again[0].skipped, true)
+    assert.equal(again[1].status, 'failed')
+    assert.ok(logs.includes('[001-space-pirates] already done, skipping'))
+  })
+
+  it('follows a job it lost track of on the next run instead of starting another', async () => {
+    // Without a merge the silent clip is the video, which the test can download
+    server = await startTestServer({ appOptions: { mergeVideoAndAudio: async () => { throw new Error('no ffmpeg') } } })
+    // In front of the test server, answering the first status check with an
+    // error the way a restarting server would
+    let statusChecks = 0
+    const proxy = http.createServer(async (req, res) => {
+      if (req.url.startsWith('/api/status/') && ++statusChecks === 1) {
+        res.writeHead(502, { 'Content-Type': 'application/json' })
+        return res.end('{"error":"Bad gateway"}')
+      }
+      const chunks = []
+      for await (const chunk of req) {
+        chunks.push(chunk)
+      }
+      const response = await fetch(`${server.url}${req.url}`, {
+        method: req.method,
+        headers: { 'Content-Type': req.headers['content-type'] || 'application/json' },
+        body: chunks.length ? Buffer.concat(chunks) : undefined
+      })
+      res.writeHead(response.status, { 'Content-Type': response.headers.get('content-type') || 'application/octet-stream' })
+      res.end(Buffer.from(await response.arrayBuffer()))
+    })
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve))
+    const entries = readManifest(writeManifest('themes.json', '[{"theme":"Space pirates"}]'))
+    const outDir = path.join(dir, 'out')
+    const logs = []
+
+    try {
+      const [lost] = await runBatch({ entries, outDir, baseUrl: `http://127.0.0.1:${proxy.address().port}`, pollInterval: 10, log: line => logs.push(line) })
+      assert.equal(lost.status, 'submitted')
+      assert.ok(lost.jobId)
+
+      const [done] = await runBatch({ entries, outDir, baseUrl: server.url, pollInterval: 10, log: line => logs.push(line) })
+      assert.equal(done.status, 'success')
+      assert.equal(done.jobId, lost.jobId)
+      assert.ok(logs.includes(`[001-space-pirates] following job ${lost.jobId} from the last run`))
+      assert.equal(server.mock.requests.filter(request => request.endpoint === 'music_generation').length, 1)
+    } finally {
+      await new Promise(resolve => proxy.close(resolve))
+    }
+  })
+
+  it('estimates the cost without generating anything', async () => {
+    server = await startTestServer()
+    const entries = readManifest(writeManifest('themes.json', JSON.stringify([
+      { theme: 'Space pirates', sceneCount: 3 },
+      { theme: 'Tea party', image: 'frame.png' }
+    ])))
+    const logs = []
+
+    const { total, errors } = await estimateBatch({ entries, outDir: path.join(dir, 'out'), baseUrl: server.url, log: line => logs.push(line) })
+
+    assert.ok(total > 0)
+    assert.deepEqual(errors, [])
+    assert.match(logs.join('\n'), /2 to run\. Estimated total: \$\d+\.\d\d/)
+    assert.equal(server.mock.requests.length, 0)
+  })
+})
@@ -0,0 +1,100 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createApp } = require('../app')
+const { createMiniMaxClient } = require('../minimax')
+const { createMemoryStore } = require('../store')
+const { createMockMiniMax } = require('../mock')
+const { createUsageLedger } = require('../usage')
+const { createMediaStore } = require('../media')
+const { logger } = require('../logger')
+const { createAuth } = require('../auth')
+const { createWebhooks } = require('../webhooks')
+
+// Keep test output readable; set LOG_LEVEL to see the server's logs
+logger.setLevel(process.env.LOG_LEVEL || 'silent')
+
+// Listen on a random port and resolve with the base URL
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` })
+    })
+  })
+}
+
+// Start the mock MiniMax server and an app wired to it, both in-process.
+// Merging, upload resizing and the ffmpeg health check are stubbed so the
+// tests don't need ffmpeg.
+async function startTestServer({ apiKey = 'test-key', mockConfig = {}, appOptions = {} } = {}) {
+  const mockApp = createMockMiniMax({ pollsUntilDone: 2, ...mockConfig })
+  const mock = await listen(mockApp)
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anime-opener-test-'))
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anime-opener-media-'))
+
+  const app = createApp({
+    apiKey,
+    minimax: createMiniMaxClient({ apiKey, baseUrl: `${mock.url}/v1`, retries: 0 }),
+    jobs: createMemoryStore(),
+    ledger: createUsageLedger({ filePath: null }),
+    media: createMediaStore({ dir: mediaDir }),
+    mergeVideoAndAudio: async (videoUrl, audioUrl, { name }) => ({ fileName: `${name}.mp4`, duration: 6 }),
+    auth: createAuth({ tokens: [], users: [] }),
+    webhooks: createWebhooks({ secret: '', subscriptions: createMemoryStore(), deliveries: createMemoryStore() }),
+    checkFfmpeg: async () => ({ version: 'ffmpeg version test' }),
+    prepareFrame: async (filePath, { fit }) => ({ path: filePath, mimetype: 'image/png', width: 1280, height: 720, fit }),
+    uploadDir,
+    pollInterval: 5,
+    imagePollInterval: 5,
+    ...appOptions
+  })
+  const api = await listen(app)
+
+  return {
+    url: api.url,
+    mock: mockApp.locals,
+    app,
+    uploadDir,
+    async close() {
+      await new Promise(resolve => api.server.close(resolve))
+      await new Promise(resolve => mock.server.close(resolve))
+      fs.rmSync(uploadDir, { recursive: true, force: true })
+      fs.rmSync(mediaDir, { recursive: true, force: true })
+    }
+  }
+}
+
+// Start a generation and return the parsed response
+async function generate(url, { theme = 'Epic battle scene', image, fields = {}, headers = {} } = {}) {
+  const form = new FormData()
+  if (theme !== undefined) {
+    form.append('theme', theme)
+  }
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value)
+  }
+  if (image) {
+    form.append('image', new Blob([fs.readFileSync(image)], { type: 'image/png' }), path.basename(image))
+  }
+  const response = await fetch(`${url}/api/generate`, { method: 'POST', body: form, headers })
+  return { status: response.status, body: await response.json() }
+}
+
+// Poll a job until it succeeds or fails
+async function waitForJob(url, jobId, timeout = 5000, headers = {}) {
+  const deadline = Date.now() + timeout
+  while (Date.now() < deadline) {
+    const job = await (await fetch(`${url}/api/jobs/${jobId}`, { headers })).json()
+    if (job.status === 'success' || job.status === 'failed') {
+      return job
+    }
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeout}ms`)
+}
+
+module.exports = {
+  startTestServer,
+  generate,
+  waitForJob
+}
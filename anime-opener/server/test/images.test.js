@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const path = require('path')
+const { buildFrameArgs, sanitizeFilename, sniffFile, sniffImageType } = require('../images')
+
+const FRAME = path.join(__dirname, '..', 'mock', 'assets', 'frame.png')
+
+describe('image uploads', () => {
+  it('recognizes PNG, JPEG and WebP by their magic bytes', async () => {
+    assert.equal(await sniffFile(FRAME), 'image/png')
+    assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe1])), 'image/jpeg')
+    assert.equal(sniffImageType(Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1')), 'image/webp')
+    assert.equal(sniffImageType(Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'latin1')), null)
+    assert.equal(sniffImageType(Buffer.from('GIF89a')), null)
+    assert.equal(sniffImageType(Buffer.alloc(0)), null)
+  })
+
+  it('sanitizes client file names', () => {
+    assert.equal(sanitizeFilename('../../etc/passwd'), 'passwd')
+    assert.equal(sanitizeFilename('C:\\Users\\me\\Café photo.JPG'), 'Cafe-photo.JPG')
+    assert.equal(sanitizeFilename('.hidden'), 'hidden')
+    assert.equal(sanitizeFilename('???'), 'image')
+    assert.equal(sanitizeFilename(undefined), 'image')
+    assert.equal(sanitizeFilename('a'.repeat(300)).length, 100)
+  })
+
+  it('crops or pads to the frame and drops metadata', () => {
+    const crop = buildFrameArgs({ inputPath: 'in.png', outputPath: 'out.jpg', width: 1280, height: 720, fit: 'crop' })
+    const pad = buildFrameArgs({ inputPath: 'in.png', outputPath: 'out.jpg', width: 1280, height: 720, fit: 'pad' })
+
+    assert.equal(crop[crop.indexOf('-map_metadata') + 1], '-1')
+    assert.equal(crop[crop.indexOf('-vf') + 1], 'scale=1280:720:force_original_aspect_ratio=increase,crop=1280:720,setsar=1')
+    assert.equal(pad[pad.indexOf('-vf') + 1], 'scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2:black,setsar=1')
+    assert.equal(crop.at(-1), 'out.jpg')
+  })
+})
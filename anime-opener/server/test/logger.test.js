@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { createLogger, redact } = require('../logger')
+
+// A logger that collects its entries instead of writing them
+function captureLogger(options = {}) {
+  const entries = []
+  const logger = createLogger({ write: line => entries.push(JSON.parse(line)), ...options })
+  return { logger, entries }
+}
+
+describe('logger', () => {
+  it('writes JSON entries at or above its level', () => {
+    const { logger, entries } = captureLogger({ level: 'info' })
+    logger.debug('Hidden')
+    logger.info('Shown', { jobId: 'job-1' })
+    logger.error('Failed', { error: Object.assign(new Error('boom'), { code: 1004 }) })
+
+    assert.deepEqual(entries.map(entry => [entry.level, entry.msg]), [['info', 'Shown'], ['error', 'Failed']])
+    assert.equal(entries[0].jobId, 'job-1')
+    assert.match(entries[0].time, /^\d{4}-\d{2}-\d{2}T/)
+    assert.deepEqual(entries[1].error, { name: 'Error', message: 'boom', code: 1004 })
+  })
+
+  it('tags entries with the context they were logged in', async () => {
+    const { logger, entries } = captureLogger()
+    await logger.withContext({ requestId: 'req-1' }, () =>
+      logger.withContext({ jobId: 'job-1' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1))
+        logger.info('Inside')
+      }))
+    logger.info('Outside')
+
+    assert.equal(entries[0].requestId, 'req-1')
+    assert.equal(entries[0].jobId, 'job-1')
+    assert.equal(entries[1].requestId, undefined)
+  })
+
+  it('redacts secrets, signed URLs and inline data', () => {
+    const redacted = redact({
+      headers: { Authorization: 'Bearer sk-live-123', 'x-api-key': 'sk-live-123' },
+      message: 'Request with key sk-live-123 failed',
+      videoUrl: 'https://cdn.example.com/clip.mp4?Expires=1700000000&Signature=abc&OSSAccessKeyId=xyz',
+      imageUrl: 'https://cdn.example.com/frame.png?width=512',
+      note: 'sent Bearer eyJhbGciOi to the API',
+      firstFrame: `data:image/png;base64,${'A'.repeat(5000)}`,
+      max_tokens: 2000
+    }, ['sk-live-123'])
+
+    assert.deepEqual(redacted, {
+      headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]' },
+      message: 'Request with key [REDACTED] failed',
+      videoUrl: 'https://cdn.example.com/clip.mp4?[REDACTED]',
+      imageUrl: 'https://cdn.example.com/frame.png?width=512',
+      note: 'sent Bearer [REDACTED] to the API',
+      firstFrame: 'data:image/png (5022 chars)',
+      max_tokens: 2000
+    })
+  })
+})
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createMediaStore, startCleanup, sweepUploads } = require('../media')
+const { createMemoryStore } = require('../store')
+
+const FRAME = path.join(__dirname, '..', 'mock', 'assets', 'frame.png')
+const HOUR = 60 * 60 * 1000
+
+describe('media store', () => {
+  let dir
+  let media
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anime-opener-media-'))
+    media = createMediaStore({ dir })
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('stores content once, named by its hash', async () => {
+    const fromFile = await media.save(FRAME, { contentType: 'image/png' })
+    const dataUrl = `data:image/png;base64,${fs.readFileSync(FRAME).toString('base64')}`
+    const fromDataUrl = await media.save(dataUrl)
+
+    assert.match(fromFile, /^[a-f0-9]{64}\.png$/)
+    assert.equal(fromDataUrl, fromFile)
+    assert.deepEqual(fs.readdirSync(dir), [fromFile])
+    assert.deepEqual(fs.readFileSync(media.path(fromFile)), fs.readFileSync(FRAME))
+  })
+
+  it('only resolves media names', () => {
+    assert.equal(media.path('../jobs.jsonl'), null)
+  })
+
+  it('removes expired and orphaned files', async () => {
+    const kept = await media.save('data:text/plain,kept')
+    const orphan = await media.save('data:text/plain,orphan')
+    const fresh = await media.save('data:text/plain,fresh')
+    const now = Date.now()
+    const inUse = new Set([kept])
+
+    assert.deepEqual(media.sweep({ inUse, now }), [])
+    assert.deepEqual(media.sweep({ inUse: new Set([kept, fresh]), now: now + 2 * HOUR }), [orphan])
+    assert.deepEqual(media.sweep({ retention: 24 * HOUR, inUse: new Set([kept, fresh]), now: now + 25 * HOUR }).sort(), [kept, fresh].sort())
+  })
+
+  it('removes old uploads', () => {
+    fs.writeFileSync(path.join(dir, 'upload.png'), 'image')
+
+    assert.deepEqual(sweepUploads(dir, HOUR), [])
+    assert.deepEqual(sweepUploads(dir, HOUR, Date.now() + 2 * HOUR), ['upload.png'])
+  })
+
+  it('keeps old uploads that unfinished jobs still need', async () => {
+    const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'anime-opener-uploads-'))
+    const old = new Date(Date.now() - 2 * HOUR)
+    for (const name of ['queued.png', 'done.png']) {
+      fs.writeFileSync(path.join(uploadDir, name), 'image')
+      fs.utimesSync(path.join(uploadDir, name), old, old)
+    }
+    const jobs = createMemoryStore()
+    await jobs.set('queued', { status: 'queued', upload: { path: path.join(uploadDir, 'queued.png') } })
+    await jobs.set('done', { status: 'success', upload: { path: path.join(uploadDir, 'done.png') } })
+
+    const cleanup = startCleanup({ media, jobs, uploadDir, uploadRetention: HOUR })
+    cleanup.stop()
+    await cleanup.cleanup()
+
+    assert.deepEqual(fs.readdirSync(uploadDir), ['queued.png'])
+    fs.rmSync(uploadDir, { recursive: true, force: true })
+  })
+})
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { buildConcatArgs, buildMergeArgs, resolveDuration } = require('../merge')
+
+// The value following `flag` in an argument list
+const valueOf = (args, flag) => args[args.indexOf(flag) + 1]
+
+describe('merging', () => {
+  it('picks the opening length for each merge policy', () => {
+    // trim: as long as the clip, however long the song
+    assert.equal(resolveDuration('trim', 6, 150, 90), 6)
+    // loop and hold: as long as the song, up to the limit
+    assert.equal(resolveDuration('loop', 6, 45, 90), 45)
+    assert.equal(resolveDuration('hold', 6, 150, 90), 90)
+    // never shorter than the clip
+    assert.equal(resolveDuration('loop', 12, 8, 90), 12)
+  })
+
+  it('loops the clip and copies the video stream', () => {
+    const args = buildMergeArgs({ videoPath: 'clip.mp4', audioPath: 'song.mp3', outputPath: 'out.mp4', policy: 'loop', videoDuration: 6, duration: 45, fadeSeconds: 2 })
+
+    assert.deepEqual(args.slice(0, 3), ['-y', '-stream_loop', '-1'])
+    assert.deepEqual(args.slice(3, 11), ['-i', 'clip.mp4', '-i', 'song.mp3', '-map', '0:v:0', '-map', '1:a:0'])
+    assert.equal(valueOf(args, '-c:v'), 'copy')
+    assert.ok(!args.includes('-vf'))
+    assert.equal(valueOf(args, '-af'), 'afade=t=out:st=43.000:d=2.000')
+    assert.equal(valueOf(args, '-t'), '45.000')
+    assert.equal(args.at(-1), 'out.mp4')
+  })
+
+  it('trims to the clip without looping it', () => {
+    const args = buildMergeArgs({ videoPath: 'clip.mp4', audioPath: 'song.mp3', outputPath: 'out.mp4', policy: 'trim', videoDuration: 6, duration: 6, fadeSeconds: 2 })
+
+    assert.ok(!args.includes('-stream_loop'))
+    assert.equal(valueOf(args, '-c:v'), 'copy')
+    assert.equal(valueOf(args, '-af'), 'afade=t=out:st=4.000:d=2.000')
+    assert.equal(valueOf(args, '-t'), '6.000')
+  })
+
+  it('holds the last frame and keeps the fade within short openings', () => {
+    const held = buildMergeArgs({ videoPath: 'clip.mp4', audioPath: 'song.mp3', outputPath: 'out.mp4', policy: 'hold', videoDuration: 6, duration: 20, fadeSeconds: 2 })
+    assert.equal(valueOf(held, '-vf'), 'tpad=stop_mode=clone:stop_duration=14.000')
+    assert.equal(valueOf(held, '-c:v'), 'libx264')
+
+    const short = buildMergeArgs({ videoPath: 'clip.mp4', audioPath: 'song.mp3', outputPath: 'out.mp4', policy: 'hold', videoDuration: 6, duration: 3, fadeSeconds: 2 })
+    assert.ok(!short.includes('-vf'))
+    assert.equal(valueOf(short, '-af'), 'afade=t=out:st=1.500:d=1.500')
+  })
+
+  it('burns in subtitles with the path escaped for the filter', () => {
+    const args = buildMergeArgs({
+      videoPath: 'clip.mp4',
+      audioPath: 'song.mp3',
+      outputPath: 'out.mp4',
+      policy: 'loop',
+      videoDuration: 6,
+      duration: 30,
+      fadeSeconds: 2,
+      subtitlesPath: "C:\\tmp\\it's,lyrics.srt"
+    })
+
+    assert.equal(valueOf(args, '-vf'), "subtitles=C\\:/tmp/it\\'s\\,lyrics.srt")
+    assert.equal(valueOf(args, '-c:v'), 'libx264')
+  })
+
+  it('joins storyboard clips with fades between them', () => {
+    const args = buildConcatArgs({
+      clipPaths: ['a.mp4', 'b.mp4', 'c.mp4'],
+      clipDurations: [6, 6, 1],
+      outputPath: 'joined.mp4',
+      width: 1280,
+      height: 720,
+      transition: 'fade',
+      transitionSeconds: 0.5
+    })
+    const filters = valueOf(args, '-filter_complex').split(';')
+
+    assert.deepEqual(args.slice(0, 7), ['-y', '-i', 'a.mp4', '-i', 'b.mp4', '-i', 'c.mp4'])
+    assert.equal(filters.length, 4)
+    assert.match(filters[0], /^\[0:v\]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:/)
+    // The first clip only fades out, the last only fades in
+    assert.ok(!filters[0].includes('fade=t=in'))
+    assert.match(filters[0], /fade=t=out:st=5\.750:d=0\.250\[v0\]$/)
+    assert.match(filters[1], /fade=t=in:st=0:d=0\.250,fade=t=out:st=5\.750:d=0\.250\[v1\]$/)
+    // A short clip's fade is capped at a quarter of its length
+    assert.match(filters[2], /fade=t=in:st=0:d=0\.250\[v2\]$/)
+    assert.equal(filters[3], '[v0][v1][v2]concat=n=3:v=1:a=0[out]')
+    assert.equal(valueOf(args, '-map'), '[out]')
+    assert.equal(args.at(-1), 'joined.mp4')
+  })
+
+  it('cuts between clips without fades', () => {
+    const args = buildConcatArgs({
+      clipPaths: ['a.mp4', 'b.mp4'],
+      clipDurations: [6, 6],
+      outputPath: 'joined.mp4',
+      width: 912,
+      height: 512,
+      transition: 'cut',
+      transitionSeconds: 0.5
+    })
+
+    assert.ok(!valueOf(args, '-filter_complex').includes('fade'))
+    assert.match(valueOf(args, '-filter_complex'), /\[v0\]\[v1\]concat=n=2:v=1:a=0\[out\]$/)
+  })
+})
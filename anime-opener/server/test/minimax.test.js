@@ -0,0 +1,69 @@
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('http')
+const { createMiniMaxClient } = require('../minimax')
+const { logger } = require('../logger')
+
+// Failed attempts are logged as warnings; keep them out of the test output
+logger.setLevel(process.env.LOG_LEVEL || 'silent')
+
+const ok = { status_code: 0, status_msg: 'success' }
+
+describe('MiniMax client retries', () => {
+  let server
+
+  afterEach(async () => {
+    await new Promise(resolve => server?.close(resolve) ?? resolve())
+    server = null
+  })
+
+  // A MiniMax stand-in answering each request with the next of `answers`
+  // ({ status, body }), and a client for it that retries twice
+  async function start(answers) {
+    const requests = []
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url.split('?')[0]}`)
+      const { status = 200, body } = answers[Math.min(requests.length, answers.length) - 1]
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    const client = createMiniMaxClient({ apiKey: 'test-key', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, retries: 2, retryDelay: 1 })
+    return { client, requests }
+  }
+
+  it('does not retry a paid generation that may have run', async () => {
+    const timedOut = await start([{ body: { base_resp: { status_code: 1001, status_msg: 'timeout' } } }])
+    await assert.rejects(timedOut.client.generateMusic({ prompt: 'x' }), /timed out \(1001/)
+    assert.deepEqual(timedOut.requests, ['POST /v1/music_generation'])
+    await new Promise(resolve => server.close(resolve))
+
+    const serverError = await start([{ status: 500, body: {} }])
+    await assert.rejects(serverError.client.generateMusic({ prompt: 'x' }), /music_generation failed/)
+    assert.equal(serverError.requests.length, 1)
+  })
+
+  it('retries generations that were rate limited', async () => {
+    const { client, requests } = await start([
+      { body: { base_resp: { status_code: 1002, status_msg: 'rate limit' } } },
+      { status: 429, body: {} },
+      { body: { data: { audio: 'https://cdn.example.com/song.mp3' }, base_resp: ok } }
+    ])
+    const { audioUrl } = await client.generateMusic({ prompt: 'x' })
+
+    assert.equal(audioUrl, 'https://cdn.example.com/song.mp3')
+    assert.equal(requests.length, 3)
+  })
+
+  it('retries status checks on server errors', async () => {
+    const { client, requests } = await start([
+      { status: 502, body: {} },
+      { body: { base_resp: { status_code: 1001, status_msg: 'timeout' } } },
+      { body: { task_id: 't1', status: 'Processing', base_resp: ok } }
+    ])
+    const result = await client.queryVideo('t1')
+
+    assert.equal(result.status, 'processing')
+    assert.deepEqual(requests, Array(3).fill('GET /v1/query/video_generation'))
+  })
+})
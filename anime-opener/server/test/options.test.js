@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { createDefaultOptions, resolveOptions } = require('../options')
+
+describe('generation options', () => {
+  it('reads the server-wide defaults from the environment', () => {
+    const defaults = createDefaultOptions({}, { VIDEO_RESOLUTION: '1080P', MUSIC_BITRATE: '128000' })
+
+    assert.equal(defaults.videoResolution, '1080P')
+    assert.equal(defaults.bitrate, 128000)
+    assert.equal(defaults.videoModel, 'MiniMax-Hailuo-2.3')
+  })
+
+  it('refuses invalid defaults', () => {
+    assert.throws(() => createDefaultOptions({}, { VIDEO_DURATION: '8' }), /options\.videoDuration must be one of: 6, 10/)
+    assert.throws(() => createDefaultOptions({ videoDuration: 10 }, { VIDEO_RESOLUTION: '1080P' }), /1080P videos can only be 6 seconds long/)
+  })
+
+  it('layers request options over preset and server defaults', () => {
+    const defaults = createDefaultOptions({}, {})
+    const { options } = resolveOptions({ videoDuration: 6 }, {
+      defaults,
+      preset: { videoDuration: 10, videoResolution: '768P', sceneCount: 4 }
+    })
+
+    assert.equal(options.videoDuration, 6)
+    assert.equal(options.videoResolution, '768P')
+    assert.equal(options.sceneCount, undefined)
+  })
+})
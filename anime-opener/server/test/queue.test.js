@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { createJobQueue, createLimiter } = require('../queue')
+
+// A task that finishes when its `finish` is called
+function deferred() {
+  let finish
+  const promise = new Promise(resolve => { finish = resolve })
+  return { promise, finish }
+}
+
+describe('job queue', () => {
+  it('runs at most `limit` tasks at once, first in first out', async () => {
+    const limiter = createLimiter(2)
+    const tasks = [deferred(), deferred(), deferred(), deferred()]
+    const started = []
+    const done = tasks.map((task, i) => limiter.run(() => {
+      started.push(i)
+      return task.promise
+    }, i))
+
+    await new Promise(setImmediate)
+    assert.deepEqual(started, [0, 1])
+    assert.deepEqual(limiter.waiting, [2, 3])
+
+    tasks[1].finish()
+    await new Promise(setImmediate)
+    assert.deepEqual(started, [0, 1, 2])
+
+    tasks.forEach(task => task.finish())
+    await Promise.all(done)
+    assert.deepEqual(started, [0, 1, 2, 3])
+    assert.equal(limiter.active, 0)
+  })
+
+  it('reports the place in line and when a job should start', async () => {
+    const queue = createJobQueue({ concurrency: 1, endpoints: {} })
+    const first = deferred()
+    const running = queue.add('a', () => first.promise)
+    queue.add('b', () => {})
+    queue.add('c', () => {})
+    await new Promise(setImmediate)
+
+    assert.equal(queue.status('a'), null)
+    assert.deepEqual(queue.status('b'), { position: 1, eta: 180 })
+    assert.deepEqual(queue.status('c'), { position: 2, eta: 360 })
+
+    first.finish()
+    await running
+  })
+
+  it('drops a waiting job from the line', async () => {
+    const queue = createJobQueue({ concurrency: 1, endpoints: {} })
+    const first = deferred()
+    const running = queue.add('a', () => first.promise)
+    let started = false
+    const removed = queue.add('b', () => { started = true })
+    queue.add('c', () => {})
+    await new Promise(setImmediate)
+
+    assert.equal(queue.remove('a', new Error('cancelled')), false)
+    assert.equal(queue.remove('b', new Error('cancelled')), true)
+    await assert.rejects(removed, /cancelled/)
+    assert.deepEqual(queue.waiting(), ['c'])
+
+    first.finish()
+    await running
+    assert.equal(started, false)
+  })
+
+  it('drops requests waiting for an endpoint slot when their job is cancelled', async () => {
+    const queue = createJobQueue({ concurrency: 5, endpoints: { music: 1 } })
+    const song = deferred()
+    const controller = new AbortController()
+    let started = false
+
+    queue.limit('music', () => song.promise, { signal: controller.signal })
+    const waiting = queue.limit('music', () => { started = true }, { signal: controller.signal })
+    controller.abort(new Error('Job cancelled'))
+    await assert.rejects(waiting, /Job cancelled/)
+    await assert.rejects(async () => queue.limit('music', () => { started = true }, { signal: controller.signal }), /Job cancelled/)
+
+    song.finish()
+    await new Promise(setImmediate)
+    assert.equal(started, false)
+  })
+
+  it('limits each endpoint type separately', async () => {
+    const queue = createJobQueue({ concurrency: 5, endpoints: { video: 1 } })
+    const video = deferred()
+    let secondVideo = false
+    let image = false
+
+    queue.limit('video', () => video.promise)
+    const next = queue.limit('video', () => { secondVideo = true })
+    await queue.limit('image', () => { image = true })
+
+    assert.equal(image, true)
+    assert.equal(secondVideo, false)
+    video.finish()
+    await next
+    assert.equal(secondVideo, true)
+  })
+})
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { parseLyrics, timeLyrics, formatTimestamp, toSRT } = require('../subtitles')
+
+const LYRICS = `[Verse 1]
+one two three
+four five six
+
+[Chorus]
+one two three
+four five six
+
+[Bridge]
+one two three`
+
+describe('subtitles', () => {
+  it('splits lyrics into sections', () => {
+    assert.deepEqual(parseLyrics('untitled line\n\n[Chorus]\nla la\n[Empty]\n'), [
+      { name: 'Verse', lines: ['untitled line'] },
+      { name: 'Chorus', lines: ['la la'] }
+    ])
+  })
+
+  it('spreads the lines over the song, weighted by section', () => {
+    const cues = timeLyrics(LYRICS, 100)
+    const length = cue => cue.end - cue.start
+
+    assert.equal(cues.length, 5)
+    assert.equal(cues[0].start, 5)
+    assert.ok(Math.abs(cues[4].end - 95) < 1e-9)
+    for (let i = 1; i < cues.length; i++) {
+      assert.equal(cues[i].start, cues[i - 1].end)
+    }
+    // Same words, slower sections
+    assert.ok(length(cues[2]) > length(cues[0]))
+    assert.ok(length(cues[4]) > length(cues[2]))
+  })
+
+  it('has nothing to show without lyrics or a duration', () => {
+    assert.deepEqual(timeLyrics('', 100), [])
+    assert.deepEqual(timeLyrics(LYRICS, 0), [])
+  })
+
+  it('formats timestamps', () => {
+    assert.equal(formatTimestamp(3725.5), '01:02:05.500')
+    assert.equal(formatTimestamp(0.0004, ','), '00:00:00,000')
+    assert.equal(toSRT([{ start: 1, end: 2.25, text: 'hello' }]), '1\n00:00:01,000 --> 00:00:02,250\nhello\n')
+  })
+})
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { createDefaultOptions } = require('../options')
+const { checkBudget, createUsageLedger, estimateJobCost, priceCall } = require('../usage')
+
+describe('usage and budgets', () => {
+  it('prices video by model, resolution and length', () => {
+    assert.equal(priceCall('video', { model: 'MiniMax-Hailuo-2.3', resolution: '720P', duration: 10 }), 0.47)
+    assert.equal(priceCall('query', { model: 'MiniMax-Hailuo-2.3' }), 0)
+  })
+
+  it('estimates a storyboard, counting the upload as the first frame', () => {
+    const estimate = estimateJobCost({
+      options: createDefaultOptions({}, {}),
+      sceneCount: 3,
+      planScenes: true,
+      hasUpload: true
+    })
+
+    assert.deepEqual(estimate.items.map(item => [item.kind, item.count]), [
+      ['lyrics', 1], ['chat', 1], ['music', 1], ['image', 2], ['video', 3]
+    ])
+    assert.equal(estimate.total, 0.01 + 0.002 + 0.15 + 2 * 0.0035 + 3 * 6 * 0.047)
+  })
+
+  it('sums spend by day and user', () => {
+    const ledger = createUsageLedger({ filePath: null })
+    const now = Date.UTC(2025, 4, 10, 12)
+    ledger.record({ kind: 'music', cost: 0.15, userId: 'alice', at: now })
+    ledger.record({ kind: 'video', cost: 0.282, userId: 'bob', at: now })
+    ledger.record({ kind: 'video', cost: 0.282, userId: 'bob', at: now - 86400000 })
+
+    assert.equal(ledger.spentToday({ now }), 0.432)
+    assert.equal(ledger.spentToday({ userId: 'alice', now }), 0.15)
+    assert.equal(ledger.totals({ userId: 'bob', now }).month.cost, 0.564)
+  })
+
+  it('refuses jobs that would break a cap, counting running jobs', () => {
+    const ledger = createUsageLedger({ filePath: null })
+    ledger.record({ kind: 'music', cost: 0.5, userId: 'alice' })
+
+    assert.equal(checkBudget({ ledger, estimate: 0.4, dailyBudget: 1 }), null)
+    assert.match(checkBudget({ ledger, estimate: 0.4, reserved: 0.2, dailyBudget: 1 }), /Daily budget of \$1\.00 would be exceeded/)
+    assert.match(checkBudget({ ledger, estimate: 0.4, userId: 'alice', userDailyBudget: 0.75 }), /Your daily budget/)
+    assert.equal(checkBudget({ ledger, estimate: 0.4, userId: 'bob', userDailyBudget: 0.75 }), null)
+  })
+})
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { createMemoryStore } = require('../store')
+const { createWebhooks, isPrivateAddress, signPayload, toWebhookEvent, validateCallbackUrl, verifySignature } = require('../webhooks')
+const { logger } = require('../logger')
+
+// Failed attempts are logged as warnings; keep them out of the test output
+logger.setLevel(process.env.LOG_LEVEL || 'silent')
+
+const job = { id: 'job-1', userId: 'alice', callbackUrl: 'https://example.com/hook' }
+const stageEvent = { type: 'stage', jobId: 'job-1', at: Date.now(), stage: 'music', status: 'success', assets: { musicUrl: 'https://cdn.example.com/song.mp3' } }
+
+// Webhooks whose POSTs are answered from `statuses`, one per attempt
+function fakeWebhooks(statuses, options = {}) {
+  const requests = []
+  const webhooks = createWebhooks({
+    secret: 'secret',
+    subscriptions: createMemoryStore(),
+    deliveries: createMemoryStore(),
+    retryDelay: 1,
+    post: async (url, body, { headers }) => {
+      requests.push({ url, body, headers })
+      const status = statuses[requests.length - 1] ?? 200
+      if (status instanceof Error) {
+        throw status
+      }
+      return { status }
+    },
+    ...options
+  })
+  return { webhooks, requests }
+}
+
+// Wait for a delivery to be delivered or given up on
+async function settled(webhooks, id) {
+  for (let i = 0; i < 100; i++) {
+    const [delivery] = await webhooks.deliveries(candidate => candidate.id === id)
+    if (['delivered', 'failed'].includes(delivery.status)) {
+      return delivery
+    }
+    await new Promise(resolve => setTimeout(resolve, 5))
+  }
+  throw new Error('Delivery did not settle')
+}
+
+describe('webhooks', () => {
+  it('signs the timestamp and body, and verifies signatures', () => {
+    const now = 1_700_000_000_000
+    const timestamp = now / 1000
+    const signature = `sha256=${signPayload('secret', timestamp, '{"a":1}')}`
+
+    assert.ok(verifySignature({ secret: 'secret', body: '{"a":1}', timestamp, signature, now }))
+    assert.ok(!verifySignature({ secret: 'secret', body: '{"a":2}', timestamp, signature, now }))
+    assert.ok(!verifySignature({ secret: 'other', body: '{"a":1}', timestamp, signature, now }))
+    assert.ok(!verifySignature({ secret: 'secret', body: '{"a":1}', timestamp, signature, now: now + 10 * 60 * 1000 }))
+    assert.ok(!verifySignature({ secret: 'secret', body: '{"a":1}', timestamp, signature: undefined, now }))
+  })
+
+  it('turns stage transitions and results into webhook events', () => {
+    assert.deepEqual(toWebhookEvent(stageEvent), {
+      type: 'job.stage',
+      data: { stage: 'music', status: 'success', startedAt: undefined, finishedAt: undefined, error: undefined }
+    })
+    assert.equal(toWebhookEvent({ type: 'done', job: { status: 'failed' } }).type, 'job.failed')
+    assert.equal(toWebhookEvent({ type: 'done', job: { status: 'success' } }).type, 'job.succeeded')
+    assert.equal(toWebhookEvent({ type: 'poll', stage: 'video' }), null)
+  })
+
+  it('accepts only plain http and https callback URLs', () => {
+    assert.equal(validateCallbackUrl('https://example.com/hook'), null)
+    assert.equal(validateCallbackUrl('http://localhost:8080/hook?x=1', 'callbackUrl', { allowPrivate: true }), null)
+    assert.match(validateCallbackUrl('file:///etc/passwd'), /http or https/)
+    assert.match(validateCallbackUrl('/relative'), /http or https/)
+    assert.match(validateCallbackUrl('https://a:b@example.com', 'url'), /^url must not contain credentials/)
+  })
+
+  it('refuses local, private and metadata addresses', () => {
+    for (const url of [
+      'http://localhost:8080/hook', 'http://api.localhost/hook', 'http://127.0.0.1/hook', 'http://2130706433/hook',
+      'http://10.1.2.3/hook', 'http://172.20.0.1/hook', 'http://192.168.1.10/hook', 'http://169.254.169.254/latest/meta-data',
+      'http://0.0.0.0/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://[fd00::1]/hook', 'http://[fe80::1]/hook'
+    ]) {
+      assert.match(validateCallbackUrl(url), /must not point at a local or private address/, url)
+    }
+    assert.equal(validateCallbackUrl('http://93.184.216.34/hook'), null)
+    assert.equal(validateCallbackUrl('http://[2606:2800:220:1::1]/hook'), null)
+    assert.ok(isPrivateAddress('100.64.0.1'))
+    assert.ok(!isPrivateAddress('8.8.8.8'))
+  })
+
+  it('refuses to deliver to names that resolve to private addresses', async () => {
+    const { webhooks, requests } = fakeWebhooks([], {
+      // The real HTTP client, so the lookup is the one the connection uses
+      post: undefined,
+      lookup: (hostname, options, callback) => callback(null, [{ address: '169.254.169.254', family: 4 }])
+    })
+    const [created] = await webhooks.notify(stageEvent, job)
+    const delivery = await settled(webhooks, created.id)
+
+    assert.equal(delivery.status, 'failed')
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.error), ['EBLOCKEDADDRESS'])
+    assert.equal(requests.length, 0)
+
+    const saved = fakeWebhooks([])
+    const [refused] = await saved.webhooks.notify(stageEvent, { ...job, callbackUrl: 'http://10.0.0.1/hook' })
+    assert.match((await settled(saved.webhooks, refused.id)).attempts[0].error, /private address/)
+    assert.equal(saved.requests.length, 0)
+  })
+
+  it('delivers signed events and retries server errors with backoff', async () => {
+    const { webhooks, requests } = fakeWebhooks([500, Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }), 204])
+    const [created] = await webhooks.notify(stageEvent, job)
+    const delivery = await settled(webhooks, created.id)
+
+    assert.equal(delivery.status, 'delivered')
+    assert.deepEqual(delivery.attempts.map(attempt => [attempt.status, attempt.error]), [[500, 'HTTP 500'], [undefined, 'ECONNABORTED'], [204, undefined]])
+    assert.equal(requests.length, 3)
+    assert.equal(requests[0].url, 'https://example.com/hook')
+    assert.equal(requests[0].headers['X-Webhook-Event'], 'job.stage')
+    assert.equal(requests[0].headers['X-Webhook-Id'], created.id)
+    const { headers, body } = requests[2]
+    assert.ok(verifySignature({ secret: 'secret', body, timestamp: headers['X-Webhook-Timestamp'], signature: headers['X-Webhook-Signature'] }))
+    // Signed URLs from MiniMax stay out of the payload
+    assert.deepEqual(JSON.parse(body).data, { stage: 'music', status: 'success' })
+  })
+
+  it('gives up on client errors and after the last retry', async () => {
+    const rejected = fakeWebhooks([410])
+    const [gone] = await rejected.webhooks.notify(stageEvent, job)
+    assert.equal((await settled(rejected.webhooks, gone.id)).status, 'failed')
+    assert.equal(rejected.requests.length, 1)
+
+    const down = fakeWebhooks([503, 503, 503], { retries: 2 })
+    const [unreachable] = await down.webhooks.notify(stageEvent, job)
+    const delivery = await settled(down.webhooks, unreachable.id)
+    assert.equal(delivery.status, 'failed')
+    assert.equal(delivery.attempts.length, 3)
+  })
+
+  it('sends global webhooks the jobs their owner may see', async () => {
+    const { webhooks } = fakeWebhooks([])
+    await webhooks.subscribe('https://alice.example.com', { id: 'alice', role: 'user' })
+    await webhooks.subscribe('https://bob.example.com', { id: 'bob', role: 'user' })
+    await webhooks.subscribe('https://ops.example.com', { id: 'root', role: 'admin' })
+    const created = await webhooks.notify(stageEvent, job)
+
+    assert.deepEqual(created.map(delivery => delivery.url).sort(), ['https://alice.example.com', 'https://example.com/hook', 'https://ops.example.com'])
+    assert.equal(new Set(created.map(delivery => delivery.eventId)).size, 1)
+    assert.deepEqual(await fakeWebhooks([], { secret: '' }).webhooks.notify(stageEvent, job), [])
+  })
+})
@@ -0,0 +1,228 @@
+const fs = require('fs')
+const path = require('path')
+const { AsyncLocalStorage } = require('async_hooks')
+const { logger } = require('./logger')
+
+// Usage configuration
+const USAGE_LEDGER_PATH = process.env.USAGE_LEDGER_PATH || path.join(__dirname, 'data', 'usage.jsonl')
+// Budget caps in USD; 0 or unset means no cap
+const DAILY_BUDGET = Number(process.env.DAILY_BUDGET_USD) || 0
+const USER_DAILY_BUDGET = Number(process.env.USER_DAILY_BUDGET_USD) || 0
+
+// Approximate MiniMax list prices in USD, used for estimates and the ledger.
+// Video is priced per second of footage; the rest per request or image.
+const DEFAULT_PRICES = {
+  chat: 0.002,
+  lyrics: 0.01,
+  music: { 'music-2.5': 0.15, 'music-2.0': 0.1, 'music-1.5': 0.035 },
+  image: { 'image-01': 0.0035, 'image-01-live': 0.0035 },
+  video: {
+    'MiniMax-Hailuo-2.3': { '512P': 0.017, '720P': 0.047, '768P': 0.047, '1080P': 0.082 },
+    'MiniMax-Hailuo-2.3-Fast': { '512P': 0.012, '720P': 0.032, '768P': 0.032, '1080P': 0.055 },
+    'MiniMax-Hailuo-02': { '512P': 0.017, '720P': 0.047, '768P': 0.047, '1080P': 0.082 }
+  }
+}
+
+// Which job and user the MiniMax calls in the current async flow belong to
+const usageScope = new AsyncLocalStorage()
+
+const round = value => Math.round(value * 10000) / 10000
+
+// Price one MiniMax call from its request body; status checks and uploads are free
+function priceCall(kind, body = {}, prices = DEFAULT_PRICES) {
+  switch (kind) {
+    case 'chat':
+      return prices.chat
+    case 'lyrics':
+      return prices.lyrics
+    case 'music':
+      return prices.music[body.model] || 0
+    case 'image':
+      return (prices.image[body.model] || 0) * (body.num_images || body.n || 1)
+    case 'video':
+      return (prices.video[body.model]?.[body.resolution] || 0) * (body.duration || 6)
+    default:
+      return 0
+  }
+}
+
+// Pre-flight estimate for a job: one song, an image and a clip per scene
+// (the upload stands in for the first image), plus lyrics and scene planning
+// when the server has to write them. `stages` limits it to the stages a
+// regeneration reruns.
+function estimateJobCost({ options, sceneCount = 1, planScenes = false, hasUpload = false, hasLyrics = false, stages }, prices = DEFAULT_PRICES) {
+  const runs = stage => !stages || stages.includes(stage)
+  const items = [
+    { kind: 'lyrics', count: hasLyrics || !runs('lyrics') ? 0 : 1, unitCost: priceCall('lyrics', {}, prices) },
+    { kind: 'chat', count: planScenes ? 1 : 0, unitCost: priceCall('chat', {}, prices) },
+    { kind: 'music', model: options.musicModel, count: runs('music') ? 1 : 0, unitCost: priceCall('music', { model: options.musicModel }, prices) },
+    { kind: 'image', model: options.imageModel, count: runs('image') ? sceneCount - (hasUpload ? 1 : 0) : 0, unitCost: priceCall('image', { model: options.imageModel }, prices) },
+    {
+      kind: 'video',
+      model: options.videoModel,
+      count: runs('video') ? sceneCount : 0,
+      unitCost: priceCall('video', { model: options.videoModel, resolution: options.videoResolution, duration: options.videoDuration }, prices)
+    }
+  ]
+    .filter(item => item.count > 0)
+    .map(item => ({ ...item, unitCost: round(item.unitCost), cost: round(item.unitCost * item.count) }))
+
+  return { currency: 'USD', total: round(items.reduce((sum, item) => sum + item.cost, 0)), items }
+}
+
+// Append-only log of MiniMax calls. Entries are kept in memory and, when
+// `filePath` is set, appended to a JSON-lines file that is replayed on open.
+function createUsageLedger({ filePath = USAGE_LEDGER_PATH } = {}) {
+  const entries = []
+
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    if (fs.existsSync(filePath)) {
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue
+        try {
+          entries.push(JSON.parse(line))
+        } catch (error) {
+          logger.warn('Skipping corrupt usage ledger line', { error })
+        }
+      }
+    }
+  }
+
+  // Sum cost and calls, split by kind
+  function summarize(list) {
+    const byKind = {}
+    for (const entry of list) {
+      byKind[entry.kind] = byKind[entry.kind] || { calls: 0, cost: 0 }
+      byKind[entry.kind].calls++
+      byKind[entry.kind].cost = round(byKind[entry.kind].cost + entry.cost)
+    }
+    return { calls: list.length, cost: round(list.reduce((sum, entry) => sum + entry.cost, 0)), byKind }
+  }
+
+  // Group entries by the first `length` characters of their ISO date
+  function groupBy(list, length) {
+    const groups = new Map()
+    for (const entry of list) {
+      const key = new Date(entry.at).toISOString().slice(0, length)
+      groups.set(key, [...(groups.get(key) || []), entry])
+    }
+    return [...groups.entries()].map(([key, group]) => ({ key, ...summarize(group) }))
+  }
+
+  return {
+    record(entry) {
+      const saved = { at: Date.now(), ...entry, cost: round(entry.cost || 0) }
+      entries.push(saved)
+      if (filePath) {
+        fs.appendFileSync(filePath, JSON.stringify(saved) + '\n')
+      }
+      return saved
+    },
+
+    list(filter = () => true) {
+      return entries.filter(filter)
+    },
+
+    // Spend in the UTC day containing `now`, optionally for one user or job
+    spentToday({ userId, jobId, now = Date.now() } = {}) {
+      const day = new Date(now).toISOString().slice(0, 10)
+      return round(entries
+        .filter(entry => new Date(entry.at).toISOString().slice(0, 10) === day)
+        .filter(entry => userId === undefined || entry.userId === userId)
+        .filter(entry => jobId === undefined || entry.jobId === jobId)
+        .reduce((sum, entry) => sum + entry.cost, 0))
+    },
+
+    spentByJob(jobId) {
+      return round(entries.filter(entry => entry.jobId === jobId).reduce((sum, entry) => sum + entry.cost, 0))
+    },
+
+    // Daily totals for the UTC month containing `now`, and monthly totals overall
+    totals({ userId, now = Date.now() } = {}) {
+      const mine = entries.filter(entry => userId === undefined || entry.userId === userId)
+      const month = new Date(now).toISOString().slice(0, 7)
+      const daily = groupBy(mine.filter(entry => new Date(entry.at).toISOString().startsWith(month)), 10)
+        .map(({ key, ...rest }) => ({ date: key, ...rest }))
+      const monthly = groupBy(mine, 7).map(({ key, ...rest }) => ({ month: key, ...rest }))
+      const today = new Date(now).toISOString().slice(0, 10)
+
+      return {
+        currency: 'USD',
+        today: daily.find(day => day.date === today) || { date: today, ...summarize([]) },
+        month: monthly.find(entry => entry.month === month) || { month, ...summarize([]) },
+        daily,
+        monthly
+      }
+    }
+  }
+}
+
+// Wrap a MiniMax client so every call lands in the ledger, attributed to the
+// job and user in the current usage scope
+function trackUsage(minimax, { ledger, prices = DEFAULT_PRICES }) {
+  const kinds = {
+    chat: 'chat',
+    generateLyrics: 'lyrics',
+    generateMusic: 'music',
+    generateImage: 'image',
+    queryImage: 'query',
+    generateVideo: 'video',
+    queryVideo: 'query',
+    retrieveFile: 'query',
+    uploadFile: 'upload'
+  }
+
+  const tracked = Object.create(minimax)
+  for (const [method, kind] of Object.entries(kinds)) {
+    tracked[method] = async (...args) => {
+      const body = typeof args[0] === 'object' ? args[0] : {}
+      const scope = usageScope.getStore() || {}
+      try {
+        // Called on the wrapper so calls a method makes itself (queryVideo
+        // resolving a file) are tracked too
+        const result = await minimax[method].apply(tracked, args)
+        ledger.record({ kind, method, model: body.model, cost: priceCall(kind, body, prices), ok: true, ...scope })
+        return result
+      } catch (error) {
+        // Failed requests aren't billed, but are still worth seeing
+        ledger.record({ kind, method, model: body.model, cost: 0, ok: false, code: error.code, ...scope })
+        throw error
+      }
+    }
+  }
+  return tracked
+}
+
+// Check a job's estimate against the budget caps. Returns an error message
+// when it would go over, or null. `reserved` is what jobs already running are
+// still expected to spend.
+function checkBudget({ ledger, estimate, userId, reserved = 0, userReserved = 0, dailyBudget = DAILY_BUDGET, userDailyBudget = USER_DAILY_BUDGET }) {
+  const format = value => `$${value.toFixed(2)}`
+
+  if (dailyBudget) {
+    const spent = ledger.spentToday() + reserved
+    if (spent + estimate > dailyBudget) {
+      return `Daily budget of ${format(dailyBudget)} would be exceeded: ${format(spent)} spent or committed today, and this is estimated at ${format(estimate)}`
+    }
+  }
+  if (userDailyBudget && userId) {
+    const spent = ledger.spentToday({ userId }) + userReserved
+    if (spent + estimate > userDailyBudget) {
+      return `Your daily budget of ${format(userDailyBudget)} would be exceeded: ${format(spent)} spent or committed today, and this is estimated at ${format(estimate)}`
+    }
+  }
+  return null
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  DAILY_BUDGET,
+  USER_DAILY_BUDGET,
+  usageScope,
+  priceCall,
+  estimateJobCost,
+  createUsageLedger,
+  trackUsage,
+  checkBudget
+}
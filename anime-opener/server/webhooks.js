@@ -0,0 +1,302 @@
+const axios = require('axios')
+const crypto = require('crypto')
+const dns = require('dns')
+const net = require('net')
+const path = require('path')
+const { createJsonlStore } = require('./store')
+const { logger } = require('./logger')
+
+// Webhook configuration. Deliveries are signed with WEBHOOK_SECRET; without
+// it webhooks are off.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || ''
+const WEBHOOK_RETRIES = Number(process.env.WEBHOOK_RETRIES) || 5
+const WEBHOOK_RETRY_DELAY = Number(process.env.WEBHOOK_RETRY_DELAY) || 5000
+const WEBHOOK_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT) || 10000
+const WEBHOOKS_PATH = process.env.WEBHOOKS_PATH || path.join(__dirname, 'data', 'webhooks.jsonl')
+const WEBHOOK_DELIVERIES_PATH = process.env.WEBHOOK_DELIVERIES_PATH || path.join(__dirname, 'data', 'webhook-deliveries.jsonl')
+// Let webhooks reach loopback and private addresses, for local development
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+
+// Webhook events for the ways a job can end. A regeneration that fails or
+// is cancelled goes back to the previous version, which still succeeded.
+const DONE_EVENTS = { success: 'job.succeeded', failed: 'job.failed', cancelled: 'job.cancelled' }
+
+// How old a signature timestamp may be before verifySignature refuses it
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60
+
+// Addresses webhooks may not reach: loopback, private, shared, link-local
+// (cloud metadata), multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList()
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4')
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6')
+}
+
+// Error code for a delivery refused because of where its URL points
+const BLOCKED_ADDRESS = 'EBLOCKEDADDRESS'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Whether an IP address is one webhooks may not reach. IPv4 addresses
+// written as IPv6 (::ffff:127.0.0.1) are checked as IPv4.
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1]
+  if (mapped) {
+    return PRIVATE_ADDRESSES.check(mapped, 'ipv4')
+  }
+  const family = net.isIP(address)
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+// DNS lookup for deliveries that refuses names resolving to a private
+// address. It runs on the connection itself, so a name can't pass a check
+// and then resolve somewhere else.
+function publicLookup(lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error)
+      }
+      if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: BLOCKED_ADDRESS }))
+      }
+      callback(null, addresses)
+    })
+  }
+}
+
+// Check a callback URL. Returns an error message, or null when it is usable.
+// Unless `allowPrivate`, it must not point at a local or private address;
+// names are checked again when they are resolved for a delivery.
+function validateCallbackUrl(value, name = 'callbackUrl', { allowPrivate = WEBHOOK_ALLOW_PRIVATE } = {}) {
+  let url
+  try {
+    url = new URL(String(value))
+  } catch {
+    return `${name} must be an absolute http or https URL`
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return `${name} must be an absolute http or https URL`
+  }
+  if (url.username || url.password) {
+    return `${name} must not contain credentials`
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+  if (!allowPrivate && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+    return `${name} must not point at a local or private address`
+  }
+  return null
+}
+
+// Sign a delivery: HMAC-SHA256 of `<timestamp>.<body>`, hex encoded
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+// Check a delivery's X-Webhook-Signature and X-Webhook-Timestamp headers,
+// as a receiver would
+function verifySignature({ secret, body, timestamp, signature, now = Date.now(), tolerance = SIGNATURE_TOLERANCE_SECONDS }) {
+  if (!/^\d+$/.test(String(timestamp)) || Math.abs(now / 1000 - Number(timestamp)) > tolerance) {
+    return false
+  }
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`)
+  const actual = Buffer.from(String(signature || ''))
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
+
+// Turn a pipeline event into a webhook event, or null for the ones webhooks
+// don't carry (queue moves, scenes and polls)
+function toWebhookEvent(event) {
+  switch (event.type) {
+    case 'status':
+      return { type: 'job.status', data: { status: event.status } }
+    case 'stage':
+      return {
+        type: 'job.stage',
+        data: { stage: event.stage, status: event.status, startedAt: event.startedAt, finishedAt: event.finishedAt, error: event.error }
+      }
+    case 'done':
+      return { type: DONE_EVENTS[event.job.status] || 'job.succeeded', data: { job: event.job } }
+    default:
+      return null
+  }
+}
+
+// Whether a failed attempt is worth repeating: network errors, timeouts,
+// server errors and rate limits. Other 4xx answers won't change.
+function isRetryable(status) {
+  return !status || status >= 500 || status === 408 || status === 429
+}
+
+// Signed job notifications. Callbacks are registered per job (a job's
+// `callbackUrl`) or globally (`subscribe`), and every attempt to deliver an
+// event is kept in the `deliveries` store as the delivery log.
+function createWebhooks({
+  secret = WEBHOOK_SECRET,
+  subscriptions = createJsonlStore({ filePath: WEBHOOKS_PATH }),
+  deliveries = createJsonlStore({ filePath: WEBHOOK_DELIVERIES_PATH }),
+  retries = WEBHOOK_RETRIES,
+  retryDelay = WEBHOOK_RETRY_DELAY,
+  timeout = WEBHOOK_TIMEOUT,
+  allowPrivate = WEBHOOK_ALLOW_PRIVATE,
+  lookup = dns.lookup,
+  post = (url, body, options) => axios.post(url, body, options)
+} = {}) {
+  // POST one delivery until it is accepted or out of retries, logging every
+  // attempt. The signature is recomputed per attempt so its timestamp stays fresh.
+  async function deliver(delivery) {
+    const body = JSON.stringify(delivery.payload)
+    let { attempts = [] } = delivery
+
+    // A URL saved before it would be refused, e.g. while WEBHOOK_ALLOW_PRIVATE was on
+    const refused = validateCallbackUrl(delivery.url, 'url', { allowPrivate })
+    if (refused) {
+      attempts = [...attempts, { at: Date.now(), durationMs: 0, error: refused }]
+      logger.warn('Webhook delivery failed', { jobId: delivery.jobId, deliveryId: delivery.id, event: delivery.event, error: refused, retrying: false })
+      return deliveries.update(delivery.id, { status: 'failed', attempts, nextAttemptAt: undefined })
+    }
+
+    while (attempts.length <= retries) {
+      const timestamp = Math.floor(Date.now() / 1000)
+      const startedAt = Date.now()
+      let status
+      let error
+      // A name resolving to a private address won't resolve anywhere better on a retry
+      let blocked = false
+      try {
+        const response = await post(delivery.url, body, {
+          timeout,
+          maxRedirects: 0,
+          lookup: allowPrivate ? undefined : publicLookup(lookup),
+          validateStatus: () => true,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'anime-opener-webhooks',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+          }
+        })
+        status = response.status
+        if (status < 200 || status >= 300) {
+          error = `HTTP ${status}`
+        }
+      } catch (httpError) {
+        error = httpError.code || httpError.message
+        blocked = httpError.code === BLOCKED_ADDRESS
+      }
+
+      attempts = [...attempts, { at: startedAt, status, durationMs: Date.now() - startedAt, error }]
+      if (!error) {
+        logger.info('Webhook delivered', { jobId: delivery.jobId, deliveryId: delivery.id, event: delivery.event, attempt: attempts.length })
+        return deliveries.update(delivery.id, { status: 'delivered', attempts, nextAttemptAt: undefined })
+      }
+
+      const retrying = !blocked && isRetryable(status) && attempts.length <= retries
+      logger.warn('Webhook delivery failed', { jobId: delivery.jobId, deliveryId: delivery.id, event: delivery.event, attempt: attempts.length, error, retrying })
+      if (!retrying) {
+        return deliveries.update(delivery.id, { status: 'failed', attempts, nextAttemptAt: undefined })
+      }
+
+      // Exponential backoff with a little jitter
+      const wait = retryDelay * 2 ** (attempts.length - 1) + Math.random() * retryDelay / 2
+      await deliveries.update(delivery.id, { status: 'retrying', attempts, nextAttemptAt: Date.now() + wait })
+      await sleep(wait)
+    }
+    return deliveries.update(delivery.id, { status: 'failed', attempts, nextAttemptAt: undefined })
+  }
+
+  // Deliver in the background; failures are already in the delivery log
+  function deliverLater(delivery) {
+    deliver(delivery).catch(error => logger.error('Webhook error', { jobId: delivery.jobId, deliveryId: delivery.id, error }))
+  }
+
+  // Deliveries cut short by a restart pick up where they left off
+  if (secret) {
+    deliveries.list()
+      .then(list => list.filter(delivery => ['pending', 'retrying'].includes(delivery.status)).forEach(deliverLater))
+      .catch(error => logger.error('Webhook error', { error }))
+  }
+
+  return {
+    enabled: Boolean(secret),
+
+    // Check a callback URL against this server's address rules
+    validateUrl(value, name) {
+      return validateCallbackUrl(value, name, { allowPrivate })
+    },
+
+    // Send a pipeline event about `job` to its callback and to every global
+    // webhook whose owner may see the job. Resolves with the new deliveries.
+    async notify(event, job) {
+      const webhookEvent = secret && job && toWebhookEvent(event)
+      if (!webhookEvent) {
+        return []
+      }
+
+      const targets = (await subscriptions.list())
+        .filter(subscription => subscription.role === 'admin' || subscription.userId === job.userId)
+        .map(subscription => ({ url: subscription.url, userId: subscription.userId, subscriptionId: subscription.id }))
+      if (job.callbackUrl) {
+        targets.push({ url: job.callbackUrl, userId: job.userId, subscriptionId: null })
+      }
+
+      const payload = {
+        id: crypto.randomUUID(),
+        type: webhookEvent.type,
+        jobId: job.id,
+        createdAt: new Date(event.at).toISOString(),
+        data: webhookEvent.data
+      }
+      const created = []
+      for (const target of targets) {
+        const delivery = await deliveries.set(crypto.randomUUID(), {
+          ...target,
+          event: payload.type,
+          eventId: payload.id,
+          jobId: job.id,
+          status: 'pending',
+          attempts: [],
+          payload
+        })
+        deliverLater(delivery)
+        created.push(delivery)
+      }
+      return created
+    },
+
+    // Register a global webhook for `user`: an admin's receives every job's
+    // events, anyone else's only their own jobs'
+    subscribe(url, user) {
+      return subscriptions.set(crypto.randomUUID(), { url, userId: user.id, role: user.role })
+    },
+
+    unsubscribe(id) {
+      return subscriptions.delete(id)
+    },
+
+    subscriptions() {
+      return subscriptions.list()
+    },
+
+    // The delivery log, newest first
+    async deliveries(filter = () => true) {
+      return (await deliveries.list()).filter(filter).sort((a, b) => b.createdAt - a.createdAt)
+    }
+  }
+}
+
+module.exports = {
+  createWebhooks,
+  isPrivateAddress,
+  signPayload,
+  toWebhookEvent,
+  validateCallbackUrl,
+  verifySignature
+}
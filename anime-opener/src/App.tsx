@@ -1,4 +1,4 @@
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useEffect, useRef } from 'react'
 import './App.css'
 
 interface GenerationStep {
@@ -10,26 +10,786 @@ interface GenerationStep {
 interface GenerationResult {
   videoUrl: string
   musicUrl?: string
+  mergeError?: string
+  subtitlesUrl?: string
+  subtitlesBurnedIn?: boolean
+  revision: number
+  revisions: Revision[]
+  regenerateError?: string
 }
 
+type RegeneratePart = 'image' | 'video' | 'lyrics' | 'music'
+
+// How the server fits an upload to the video frame
+type UploadFit = 'crop' | 'pad'
+
+// Upload formats the server accepts
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+
+// An earlier version of an opening, kept when part of it is regenerated
+interface Revision {
+  revision: number
+  videoUrl?: string
+  merged?: boolean
+  regenerated?: { part: RegeneratePart; prompt?: string }
+}
+
+interface Preset {
+  id: string
+  name: string
+  description: string
+  defaults: { sceneCount?: number }
+  custom?: boolean
+}
+
+type OptionValue = string | number
+
+interface GenerationOptions {
+  defaults: Record<string, OptionValue>
+  schema: Record<string, OptionValue[]>
+}
+
+// Labels for the generation options in the advanced settings
+const optionLabels: Record<string, string> = {
+  videoResolution: 'Video resolution',
+  videoDuration: 'Clip length (s)',
+  videoModel: 'Video model',
+  imageModel: 'Image model',
+  imageResolution: 'Image size',
+  musicModel: 'Music model',
+  sampleRate: 'Sample rate (Hz)',
+  bitrate: 'Bitrate (bps)',
+}
+
+interface CostEstimate {
+  currency: string
+  total: number
+  items: { kind: string; model?: string; count: number; cost: number }[]
+  withinBudget: boolean
+  budgetError?: string
+}
+
+interface LyricCue {
+  start: number
+  end: number
+  text: string
+  section: string
+}
+
+type StageName = 'image' | 'lyrics' | 'music' | 'video' | 'merge'
+
+type StoryboardMode = 'single' | 'auto' | 'custom'
+
+// Longest storyboard the server accepts
+const MAX_SCENES = 15
+
+// Longest lyrics the music model accepts
+const MAX_LYRICS_LENGTH = 3500
+
+interface Scene {
+  id: number
+  description: string
+  status: 'pending' | 'image' | 'video' | 'success' | 'failed' | 'cancelled'
+  imageUrl?: string
+  rawVideoUrl?: string
+  error?: string
+}
+
+interface JobStage {
+  status: 'pending' | 'running' | 'success' | 'failed' | 'cancelled'
+  startedAt?: number
+  finishedAt?: number
+  error?: string
+}
+
+interface Job {
+  id: string
+  status: 'queued' | 'running' | 'success' | 'failed' | 'cancelled'
+  stages: Record<StageName, JobStage>
+  scenes?: Scene[]
+  videoUrl?: string
+  musicUrl?: string
+  merged?: boolean
+  mergeError?: string
+  lyrics?: string
+  musicDuration?: number
+  burnSubtitles?: boolean
+  queue?: QueueStatus
+  revision?: number
+  revisions?: Revision[]
+  regenerateError?: string
+  error?: string
+}
+
+interface QueueStatus {
+  position: number
+  eta: number
+}
+
+// Pipeline stages covered by each progress step
+const stepStages: Record<number, StageName[]> = {
+  1: ['image'],
+  2: ['lyrics', 'music'],
+  3: ['video'],
+  4: ['merge'],
+}
+
+function stepStatus(stages: JobStage[]): GenerationStep['status'] {
+  if (stages.some(stage => stage.status === 'failed' || stage.status === 'cancelled')) return 'error'
+  if (stages.every(stage => stage.status === 'success')) return 'completed'
+  if (stages.some(stage => stage.status !== 'pending')) return 'processing'
+  return 'pending'
+}
+
+type JobEvent =
+  | { type: 'snapshot' | 'done'; job: Job }
+  | { type: 'stage'; stage: StageName; assets: Partial<Job> } & JobStage
+  | { type: 'scene'; scene: Scene }
+  | { type: 'poll'; stage: StageName; scene?: number; taskId: string; attempt: number; status?: string; error?: string }
+  | { type: 'status'; status: Job['status'] }
+  | ({ type: 'queue' } & QueueStatus)
+  | { type: 'reconnecting' }
+
+// Follow a job's event stream until it settles. EventSource reconnects on its
+// own and the server sends a fresh snapshot on every connection.
+function followJob(jobId: string, onEvent: (event: JobEvent) => void): Promise<Job> {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`)
+    const handle = (message: MessageEvent) => {
+      const event = JSON.parse(message.data) as JobEvent
+      onEvent(event)
+      if (event.type === 'done') {
+        source.close()
+        resolve(event.job)
+      }
+    }
+    for (const type of ['snapshot', 'queue', 'stage', 'scene', 'poll', 'status', 'done']) {
+      source.addEventListener(type, handle)
+    }
+    source.onerror = () => {
+      // CLOSED means the browser gave up, e.g. the job no longer exists
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to the server'))
+      } else {
+        onEvent({ type: 'reconnecting' })
+      }
+    }
+  })
+}
+
+// The result video with its lyrics track, sung karaoke-style: the current
+// line sweeps word by word over the video and the lyric sheet follows along
+function KaraokeVideo({ videoUrl, subtitlesUrl, overlay }: { videoUrl: string; subtitlesUrl: string; overlay: boolean }) {
+  const videoRef = useRef<HTMLVideoElement>(null)
+  const trackRef = useRef<HTMLTrackElement>(null)
+  const [cues, setCues] = useState<LyricCue[]>([])
+  const [time, setTime] = useState(0)
+
+  // Read the cues ourselves; the browser's own rendering stays hidden
+  useEffect(() => {
+    const element = trackRef.current
+    if (!element) return
+    element.track.mode = 'hidden'
+    const handleLoad = () => {
+      setCues(Array.from(element.track.cues || []).map(cue => ({
+        start: cue.startTime,
+        end: cue.endTime,
+        text: (cue as VTTCue).text.replace(/<[^>]+>/g, ''),
+        section: cue.id.replace(/^\d+ /, ''),
+      })))
+    }
+    element.addEventListener('load', handleLoad)
+    return () => element.removeEventListener('load', handleLoad)
+  }, [subtitlesUrl])
+
+  // timeupdate only fires a few times a second, too coarse for a word sweep
+  useEffect(() => {
+    let frame = 0
+    const tick = () => {
+      setTime(videoRef.current?.currentTime || 0)
+      frame = requestAnimationFrame(tick)
+    }
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [])
+
+  const active = cues.findIndex(cue => time >= cue.start && time < cue.end)
+  const current = cues[active]
+  const words = current ? current.text.split(/\s+/) : []
+  const sung = current ? Math.floor((time - current.start) / (current.end - current.start) * words.length) : 0
+
+  return (
+    <>
+      <div className="video-container">
+        <video
+          ref={videoRef}
+          src={videoUrl}
+          controls
+          autoPlay
+          loop
+          className="result-video"
+        >
+          <track ref={trackRef} kind="subtitles" src={subtitlesUrl} srcLang="en" label="Lyrics" default />
+        </video>
+        {overlay && current && (
+          <div className="karaoke-line">
+            {words.map((word, i) => (
+              <span key={i} className={i <= sung ? 'sung' : ''}>{word} </span>
+            ))}
+          </div>
+        )}
+      </div>
+      {cues.length > 0 && (
+        <div className="lyric-sheet">
+          {cues.map((cue, i) => (
+            <p
+              key={i}
+              className={`lyric-line ${i === active ? 'active' : ''} ${i < active ? 'past' : ''}`}
+              onClick={() => { if (videoRef.current) videoRef.current.currentTime = cue.start }}
+            >
+              {(i === 0 || cues[i - 1].section !== cue.section) && <span className="lyric-section">{cue.section}</span>}
+              {cue.text}
+            </p>
+          ))}
+        </div>
+      )}
+    </>
+  )
+}
+
+interface AuthUser {
+  id: string
+  role: 'user' | 'admin'
+}
+
+interface Session {
+  authRequired: boolean
+  user: AuthUser | null
+}
+
+interface Opening {
+  id: string
+  theme: string
+  preset?: string
+  lyrics?: string
+  imageUrl?: string
+  musicUrl?: string
+  videoUrl: string
+  subtitlesUrl?: string
+  subtitlesBurnedIn: boolean
+  merged?: boolean
+  duration?: number
+  sceneCount: number
+  userId?: string
+  createdAt: number
+}
+
+const GALLERY_PAGE_SIZE = 12
+
+// Past openings: search them by theme, then replay, download or delete them.
+// Admins see everyone's, labelled with their owner.
+function Gallery({ isAdmin }: { isAdmin: boolean }) {
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [page, setPage] = useState(1)
+  const [openings, setOpenings] = useState<Opening[]>([])
+  const [total, setTotal] = useState(0)
+  const [selected, setSelected] = useState<Opening | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => {
+    const params = new URLSearchParams({ page: String(page), limit: String(GALLERY_PAGE_SIZE) })
+    if (query) params.set('q', query)
+    fetch(`/api/openings?${params}`)
+      .then(async response => {
+        const data = await response.json()
+        if (!response.ok) throw new Error(data.error || 'Failed to load openings')
+        setOpenings(data.openings)
+        setTotal(data.total)
+        setError(null)
+      })
+      .catch(err => setError(err instanceof Error ? err.message : 'Failed to load openings'))
+  }, [page, query, version])
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault()
+    setQuery(search.trim())
+    setPage(1)
+  }
+
+  const handleDelete = async (opening: Opening) => {
+    if (!window.confirm(`Delete "${opening.theme}"? This can't be undone.`)) return
+    const response = await fetch(`/api/openings/${opening.id}`, { method: 'DELETE' })
+    if (!response.ok && response.status !== 404) {
+      setError('Failed to delete the opening')
+      return
+    }
+    if (selected?.id === opening.id) setSelected(null)
+    // Step back if that emptied the page
+    if (openings.length === 1 && page > 1) {
+      setPage(page - 1)
+    } else {
+      setVersion(v => v + 1)
+    }
+  }
+
+  const pages = Math.max(1, Math.ceil(total / GALLERY_PAGE_SIZE))
+
+  return (
+    <section className="gallery-section">
+      <div className="glass-card gallery-card">
+        <h2>{isAdmin ? 'All Openings' : 'Your Openings'}</h2>
+        <form className="gallery-search" onSubmit={handleSearch}>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by theme..."
+          />
+          <button type="submit">Search</button>
+        </form>
+
+        {error && (
+          <div className="error-message">
+            <span>⚠</span> {error}
+          </div>
+        )}
+
+        {selected && (
+          <div className="gallery-player">
+            <h3>{selected.theme}</h3>
+            {selected.subtitlesUrl ? (
+              <KaraokeVideo
+                key={selected.id}
+                videoUrl={selected.videoUrl}
+                subtitlesUrl={selected.subtitlesUrl}
+                overlay={!selected.subtitlesBurnedIn}
+              />
+            ) : (
+              <div className="video-container">
+                <video key={selected.id} src={selected.videoUrl} controls autoPlay className="result-video" />
+              </div>
+            )}
+          </div>
+        )}
+
+        {openings.length === 0 && !error ? (
+          <p className="gallery-empty">{query ? `No openings match "${query}".` : 'Nothing here yet. Finished openings show up here.'}</p>
+        ) : (
+          <div className="gallery-grid">
+            {openings.map(opening => (
+              <div key={opening.id} className={`gallery-item ${selected?.id === opening.id ? 'active' : ''}`}>
+                <button className="gallery-thumb" onClick={() => setSelected(opening)} title="Play">
+                  {opening.imageUrl
+                    ? <img src={opening.imageUrl} alt={opening.theme} />
+                    : <video src={opening.videoUrl} muted preload="metadata" />}
+                  <span className="gallery-play">▶</span>
+                </button>
+                <p title={opening.theme}>{opening.theme}</p>
+                <span className="gallery-date">
+                  {new Date(opening.createdAt).toLocaleString()}
+                  {opening.sceneCount > 1 && ` · ${opening.sceneCount} scenes`}
+                  {isAdmin && opening.userId && ` · ${opening.userId}`}
+                </span>
+                <div className="gallery-actions">
+                  <a href={opening.videoUrl} download={`anime-opening-${opening.id}.mp4`}>⬇ Download</a>
+                  <button onClick={() => handleDelete(opening)}>Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {pages > 1 && (
+          <div className="gallery-pages">
+            <button onClick={() => setPage(page - 1)} disabled={page === 1}>←</button>
+            <span>Page {page} of {pages}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page === pages}>→</button>
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+// Sign-in form for servers that require an account
+function SignIn({ onSignIn }: { onSignIn: (user: AuthUser) => void }) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState<string | null>(null)
+  const [isSigningIn, setIsSigningIn] = useState(false)
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsSigningIn(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not sign in')
+      }
+      onSignIn(data.user)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not sign in')
+    } finally {
+      setIsSigningIn(false)
+    }
+  }
+
+  return (
+    <main className="main">
+      <form className="glass-card sign-in-card" onSubmit={handleSubmit}>
+        <h2>Sign In</h2>
+        <input value={username} onChange={(e) => setUsername(e.target.value)} placeholder="Username" autoComplete="username" />
+        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" autoComplete="current-password" />
+        {error && (
+          <div className="error-message">
+            <span>⚠</span> {error}
+          </div>
+        )}
+        <button type="submit" className={`generate-btn ${isSigningIn ? 'loading' : ''}`} disabled={isSigningIn || !username || !password}>
+          {isSigningIn ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </main>
+  )
+}
+
+// Ask the server who we are first; when it requires an account, nothing else
+// loads until the user has signed in
 function App() {
+  const [session, setSession] = useState<Session | null>(null)
+
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(response => response.json())
+      .then(setSession)
+      .catch(() => setSession({ authRequired: false, user: null }))
+  }, [])
+
+  if (!session) {
+    return null
+  }
+  if (session.authRequired && !session.user) {
+    return (
+      <div className="app">
+        <Header />
+        <SignIn onSignIn={user => setSession({ ...session, user })} />
+      </div>
+    )
+  }
+
+  const handleSignOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {})
+    setSession({ ...session, user: null })
+  }
+  return <Studio session={session} onSignOut={handleSignOut} />
+}
+
+// Title banner; the create view adds its tabs and the account
+function Header({ children }: { children?: React.ReactNode }) {
+  return (
+    <header className="header">
+      <div className="header-content">
+        <div className="logo">
+          <span className="logo-icon">⚡</span>
+          <h1>Anime Opener</h1>
+        </div>
+        <p className="tagline">Create stunning anime opening videos with AI</p>
+        {children}
+      </div>
+      <div className="header-decoration"></div>
+    </header>
+  )
+}
+
+function Studio({ session, onSignOut }: { session: Session; onSignOut: () => void }) {
+  const [view, setView] = useState<'create' | 'gallery'>('create')
   const [image, setImage] = useState<File | null>(null)
   const [imagePreview, setImagePreview] = useState<string | null>(null)
+  const [fit, setFit] = useState<UploadFit>('crop')
+  const [isPreparingFrame, setIsPreparingFrame] = useState(false)
   const [theme, setTheme] = useState('')
   const [isGenerating, setIsGenerating] = useState(false)
   const [progress, setProgress] = useState<GenerationStep[]>([
-    { id: 1, label: 'Uploading Image', status: 'pending' },
+    { id: 1, label: 'Preparing Image', status: 'pending' },
     { id: 2, label: 'Generating Music', status: 'pending' },
     { id: 3, label: 'Creating Video', status: 'pending' },
     { id: 4, label: 'Merging & Finalizing', status: 'pending' },
   ])
   const [result, setResult] = useState<GenerationResult | null>(null)
   const [error, setError] = useState<string | null>(null)
+  const [pollStatus, setPollStatus] = useState<string | null>(null)
+  const [queueStatus, setQueueStatus] = useState<QueueStatus | null>(null)
+  const [storyboardMode, setStoryboardMode] = useState<StoryboardMode>('single')
+  const [sceneCount, setSceneCount] = useState(6)
+  const [shots, setShots] = useState<string[]>(['', ''])
+  const [scenes, setScenes] = useState<Scene[]>([])
+  const [jobId, setJobId] = useState<string | null>(null)
+  const [isCancelling, setIsCancelling] = useState(false)
+  const [isReordering, setIsReordering] = useState(false)
+  const [regenerating, setRegenerating] = useState<RegeneratePart | null>(null)
+  const [regeneratePrompt, setRegeneratePrompt] = useState('')
+  const [burnSubtitles, setBurnSubtitles] = useState(false)
+  const [lyricsDraft, setLyricsDraft] = useState<string | null>(null)
+  const [lyricsTitle, setLyricsTitle] = useState<string | null>(null)
+  const [revision, setRevision] = useState('')
+  const [isWritingLyrics, setIsWritingLyrics] = useState(false)
+  const [presets, setPresets] = useState<Preset[]>([])
+  const [presetId, setPresetId] = useState('')
+  const [generationOptions, setGenerationOptions] = useState<GenerationOptions | null>(null)
+  const [options, setOptions] = useState<Record<string, OptionValue>>({})
+  const [estimate, setEstimate] = useState<CostEstimate | null>(null)
+
+  useEffect(() => {
+    fetch('/api/presets')
+      .then(response => response.json())
+      .then((data: { defaultId: string; presets: Preset[] }) => {
+        setPresets(data.presets)
+        setPresetId(current => current || data.defaultId)
+      })
+      .catch(() => {})
+    fetch('/api/options')
+      .then(response => response.json())
+      .then(setGenerationOptions)
+      .catch(() => {})
+  }, [])
+
+  // Re-estimate the cost whenever the settings that drive it change
+  useEffect(() => {
+    if (lyricsDraft === null) {
+      setEstimate(null)
+      return
+    }
+    const controller = new AbortController()
+    fetch('/api/estimate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: controller.signal,
+      body: JSON.stringify({
+        preset: presetId || undefined,
+        options,
+        hasImage: Boolean(image),
+        lyrics: true,
+        ...(storyboardMode === 'auto' && { sceneCount }),
+        ...(storyboardMode === 'custom' && { scenes: shots.filter(shot => shot.trim()) }),
+      }),
+    })
+      .then(response => response.ok ? response.json() : null)
+      .then(setEstimate)
+      .catch(() => {})
+    return () => controller.abort()
+  }, [lyricsDraft === null, presetId, options, image, storyboardMode, sceneCount, shots])
 
-  const updateStep = (stepId: number, status: GenerationStep['status']) => {
-    setProgress(prev => prev.map(step => 
-      step.id === stepId ? { ...step, status } : step
-    ))
+  // Show the frame as the server will animate it: resized, and cropped or
+  // padded to the video's aspect ratio
+  useEffect(() => {
+    if (!image) {
+      setIsPreparingFrame(false)
+      return
+    }
+    const controller = new AbortController()
+    const formData = new FormData()
+    formData.append('image', image)
+    formData.append('fit', fit)
+    if (presetId) {
+      formData.append('preset', presetId)
+    }
+    if (Object.keys(options).length) {
+      formData.append('options', JSON.stringify(options))
+    }
+    setIsPreparingFrame(true)
+    fetch('/api/uploads/preview', { method: 'POST', body: formData, signal: controller.signal })
+      .then(async response => {
+        const data = await response.json()
+        if (response.status === 400 || response.status === 413) {
+          setImage(null)
+          setImagePreview(null)
+          setError(data.error)
+        } else if (response.ok) {
+          setImagePreview(data.preview)
+        }
+        setIsPreparingFrame(false)
+      })
+      .catch(() => {})
+    return () => controller.abort()
+  }, [image, fit, presetId, options])
+
+  // Keep only the options that differ from the server's defaults
+  const setOption = (name: string, value: OptionValue) => {
+    setOptions(prev => {
+      const { [name]: _previous, ...rest } = prev
+      return generationOptions?.defaults[name] === value ? rest : { ...rest, [name]: value }
+    })
+  }
+
+  const selectedPreset = presets.find(preset => preset.id === presetId)
+
+  const handlePresetChange = (id: string) => {
+    setPresetId(id)
+    const count = presets.find(preset => preset.id === id)?.defaults.sceneCount
+    if (count && count > 1) {
+      setSceneCount(count)
+    }
+  }
+
+  // Render the progress steps from the server's stage state
+  const applyStages = (stages: Job['stages']) => {
+    setProgress(prev => prev.map(step => ({
+      ...step,
+      status: stepStatus(stepStages[step.id].map(name => stages[name]))
+    })))
+  }
+
+  // Follow a job's events until it settles, then show the result
+  const trackJob = async (id: string) => {
+    let stages: Job['stages'] | null = null
+    const job = await followJob(id, event => {
+      if (event.type === 'snapshot' || event.type === 'done') {
+        stages = event.job.stages
+        setScenes(event.job.scenes || [])
+        setQueueStatus(event.job.queue || null)
+      } else if (event.type === 'queue') {
+        setQueueStatus({ position: event.position, eta: event.eta })
+      } else if (event.type === 'status') {
+        setQueueStatus(null)
+      } else if (event.type === 'stage' && stages) {
+        const { stage, status, startedAt, finishedAt, error } = event
+        stages = { ...stages, [stage]: { status, startedAt, finishedAt, error } }
+      } else if (event.type === 'scene') {
+        setScenes(prev => {
+          const known = prev.some(scene => scene.id === event.scene.id)
+          return known
+            ? prev.map(scene => scene.id === event.scene.id ? event.scene : scene)
+            : [...prev, event.scene]
+        })
+      } else if (event.type === 'poll') {
+        const scene = event.scene !== undefined ? ` (scene ${event.scene + 1})` : ''
+        setPollStatus(`MiniMax ${event.stage} task${scene}: ${event.error || event.status || 'unknown'} (check ${event.attempt})`)
+      } else if (event.type === 'reconnecting') {
+        setPollStatus('Connection lost, reconnecting...')
+      }
+      if (stages) {
+        applyStages(stages)
+      }
+    })
+    setPollStatus(null)
+
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Generation failed')
+    }
+    if (job.status === 'cancelled') {
+      throw new Error('Generation cancelled')
+    }
+
+    setResult({
+      videoUrl: job.videoUrl!,
+      musicUrl: job.musicUrl,
+      mergeError: job.mergeError,
+      subtitlesUrl: job.lyrics && job.musicDuration ? `/api/jobs/${id}/subtitles.vtt` : undefined,
+      subtitlesBurnedIn: job.burnSubtitles && job.merged,
+      revision: job.revision || 1,
+      revisions: job.revisions || [],
+      regenerateError: job.regenerateError
+    })
+  }
+
+  // Stop the running job; its event stream then reports it cancelled, or
+  // a regeneration back on the previous version
+  const handleCancel = async () => {
+    if (!jobId) return
+    setIsCancelling(true)
+    try {
+      const response = await fetch(`/api/jobs/${jobId}`, { method: 'DELETE' })
+      if (!response.ok && response.status !== 409) {
+        const data = await response.json()
+        throw new Error(data.error || 'Could not cancel the job')
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred')
+    } finally {
+      setIsCancelling(false)
+    }
+  }
+
+  // Leaving the page cancels the job it is following. keepalive lets the
+  // request outlive the page.
+  useEffect(() => {
+    if (!isGenerating || !jobId) return
+    const cancelOnLeave = () => {
+      fetch(`/api/jobs/${jobId}`, { method: 'DELETE', keepalive: true })
+    }
+    window.addEventListener('pagehide', cancelOnLeave)
+    return () => window.removeEventListener('pagehide', cancelOnLeave)
+  }, [isGenerating, jobId])
+
+  const updateShot = (index: number, value: string) => {
+    setShots(prev => prev.map((shot, i) => i === index ? value : shot))
+  }
+
+  // Swap an item with its neighbour; used for shots and finished scenes
+  const move = <T,>(items: T[], index: number, offset: number): T[] => {
+    const target = index + offset
+    if (target < 0 || target >= items.length) return items
+    const next = [...items]
+    ;[next[index], next[target]] = [next[target], next[index]]
+    return next
+  }
+
+  // Merge a finished storyboard again with the scenes in their new order
+  const handleReorder = async () => {
+    if (!jobId) return
+    setIsReordering(true)
+    setError(null)
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/reorder`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ order: scenes.map(scene => scene.id) }),
+      })
+      if (!response.ok) {
+        const data = await response.json()
+        throw new Error(data.error || 'Reordering failed')
+      }
+      await trackJob(jobId)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred')
+    } finally {
+      setIsReordering(false)
+    }
+  }
+
+  // Rerun the music or the video of the finished opening and merge it again;
+  // the current version stays available as a revision
+  const handleRegenerate = async (part: RegeneratePart) => {
+    if (!jobId) return
+    setRegenerating(part)
+    setIsGenerating(true)
+    setError(null)
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/regenerate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ part, prompt: regeneratePrompt.trim() || undefined }),
+      })
+      if (!response.ok) {
+        const data = await response.json()
+        throw new Error(data.error || 'Regeneration failed')
+      }
+      await trackJob(jobId)
+      setRegeneratePrompt('')
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred')
+    } finally {
+      setRegenerating(null)
+      setIsGenerating(false)
+    }
   }
 
   const handleImageSelect = useCallback((file: File) => {
@@ -37,6 +797,10 @@ function App() {
       setError('Image must be less than 10MB')
       return
     }
+    if (!IMAGE_TYPES.includes(file.type)) {
+      setError('Please choose a PNG, JPEG or WebP image')
+      return
+    }
     setImage(file)
     const reader = new FileReader()
     reader.onload = (e) => setImagePreview(e.target?.result as string)
@@ -47,27 +811,83 @@ function App() {
   const handleDrop = useCallback((e: React.DragEvent) => {
     e.preventDefault()
     const file = e.dataTransfer.files[0]
-    if (file && file.type.startsWith('image/')) {
+    if (file) {
       handleImageSelect(file)
     }
   }, [handleImageSelect])
 
+  // Draft lyrics from the theme, or revise the current draft, before anything
+  // is spent on music and video
+  const handleWriteLyrics = async (instructions?: string) => {
+    if (!theme.trim()) {
+      setError('Please enter a theme')
+      return
+    }
+
+    setIsWritingLyrics(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/lyrics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(instructions
+          ? { theme, preset: presetId || undefined, lyrics: lyricsDraft, instructions }
+          : { theme, preset: presetId || undefined }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not write lyrics')
+      }
+      setLyricsDraft(data.lyrics)
+      setLyricsTitle(data.title)
+      setRevision('')
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An error occurred')
+    } finally {
+      setIsWritingLyrics(false)
+    }
+  }
+
   const handleGenerate = async () => {
     if (!image || !theme.trim()) {
       setError('Please upload an image and enter a theme')
       return
     }
+    if (!lyricsDraft?.trim()) {
+      setError('Write and confirm the lyrics first')
+      return
+    }
+    if (storyboardMode === 'custom' && !shots.some(shot => shot.trim())) {
+      setError('Describe at least one shot for your storyboard')
+      return
+    }
 
     setIsGenerating(true)
     setError(null)
     setResult(null)
+    setPollStatus(null)
+    setScenes([])
+    setJobId(null)
+    setProgress(prev => prev.map(step => ({ ...step, status: 'pending' })))
 
     try {
-      updateStep(1, 'processing')
-      
       const formData = new FormData()
       formData.append('image', image)
+      formData.append('fit', fit)
       formData.append('theme', theme)
+      if (presetId) {
+        formData.append('preset', presetId)
+      }
+      formData.append('lyrics', lyricsDraft)
+      if (Object.keys(options).length) {
+        formData.append('options', JSON.stringify(options))
+      }
+      formData.append('burnSubtitles', String(burnSubtitles))
+      if (storyboardMode === 'auto') {
+        formData.append('sceneCount', String(sceneCount))
+      } else if (storyboardMode === 'custom') {
+        formData.append('scenes', JSON.stringify(shots.filter(shot => shot.trim())))
+      }
 
       const response = await fetch('/api/generate', {
         method: 'POST',
@@ -79,46 +899,16 @@ function App() {
         throw new Error(data.error || 'Generation failed')
       }
 
-      updateStep(1, 'completed')
-      updateStep(2, 'processing')
-
-      // Poll for completion
-      const data = await response.json()
-      
-      if (data.status === 'processing') {
-        updateStep(2, 'completed')
-        updateStep(3, 'processing')
-        
-        // Poll for video generation
-        let videoReady = false
-        while (!videoReady) {
-          await new Promise(resolve => setTimeout(resolve, 3000))
-          const statusRes = await fetch(`/api/status/${data.taskId}`)
-          const statusData = await statusRes.json()
-          
-          if (statusData.status === 'success') {
-            videoReady = true
-            updateStep(3, 'completed')
-            updateStep(4, 'processing')
-            
-            setResult({
-              videoUrl: statusData.videoUrl,
-              musicUrl: data.musicUrl
-            })
-            updateStep(4, 'completed')
-          } else if (statusData.status === 'failed') {
-            throw new Error('Video generation failed')
-          }
-        }
-      }
+      // The server runs the stages in the background; follow its event stream until it settles
+      const { jobId } = await response.json()
+      setJobId(jobId)
+      await trackJob(jobId)
     } catch (err) {
       const message = err instanceof Error ? err.message : 'An error occurred'
       setError(message)
-      progress.forEach(step => {
-        if (step.status === 'processing') {
-          updateStep(step.id, 'error')
-        }
-      })
+      setProgress(prev => prev.map(step =>
+        step.status === 'processing' ? { ...step, status: 'error' } : step
+      ))
     } finally {
       setIsGenerating(false)
     }
@@ -135,18 +925,26 @@ function App() {
 
   return (
     <div className="app">
-      <header className="header">
-        <div className="header-content">
-          <div className="logo">
-            <span className="logo-icon">⚡</span>
-            <h1>Anime Opener</h1>
-          </div>
-          <p className="tagline">Create stunning anime opening videos with AI</p>
-        </div>
-        <div className="header-decoration"></div>
-      </header>
+      <Header>
+        <nav className="view-tabs">
+          <button className={view === 'create' ? 'active' : ''} onClick={() => setView('create')}>Create</button>
+          <button className={view === 'gallery' ? 'active' : ''} onClick={() => setView('gallery')}>Gallery</button>
+        </nav>
+        {session.authRequired && session.user && (
+          <p className="account">
+            Signed in as {session.user.id}{session.user.role === 'admin' && ' (admin)'}
+            <button onClick={onSignOut}>Sign out</button>
+          </p>
+        )}
+      </Header>
+
+      {view === 'gallery' && (
+        <main className="main">
+          <Gallery isAdmin={session.authRequired && session.user?.role === 'admin'} />
+        </main>
+      )}
 
-      <main className="main">
+      <main className="main" hidden={view !== 'create'}>
         <section className="input-section">
           <div className="glass-card input-card">
             <h2>Start Creating</h2>
@@ -154,13 +952,24 @@ function App() {
             <div className="upload-area" onDrop={handleDrop} onDragOver={(e) => e.preventDefault()}>
               {imagePreview ? (
                 <div className="image-preview">
-                  <img src={imagePreview} alt="Preview" />
+                  <img src={imagePreview} alt="Preview" className={isPreparingFrame ? 'preparing' : ''} />
                   <button 
                     className="remove-image"
                     onClick={() => { setImage(null); setImagePreview(null) }}
                   >
                     ×
                   </button>
+                  <div className="fit-toggle" title="How the image is fitted to the video frame">
+                    {(['crop', 'pad'] as UploadFit[]).map(mode => (
+                      <button
+                        key={mode}
+                        className={fit === mode ? 'active' : ''}
+                        onClick={() => setFit(mode)}
+                      >
+                        {mode === 'crop' ? 'Crop to fill' : 'Fit with bars'}
+                      </button>
+                    ))}
+                  </div>
                 </div>
               ) : (
                 <div className="upload-placeholder">
@@ -169,7 +978,7 @@ function App() {
                   <span>or click to browse</span>
                   <input
                     type="file"
-                    accept="image/*"
+                    accept={IMAGE_TYPES.join(',')}
                     onChange={(e) => e.target.files?.[0] && handleImageSelect(e.target.files[0])}
                   />
                 </div>
@@ -177,7 +986,23 @@ function App() {
             </div>
 
             <div className="theme-input">
-              <label>Anime Opening Theme</label>
+              <div className="theme-header">
+                <label>Anime Opening Theme</label>
+                {presets.length > 0 && (
+                  <select
+                    className="preset-select"
+                    value={presetId}
+                    onChange={(e) => handlePresetChange(e.target.value)}
+                    title={selectedPreset?.description}
+                  >
+                    {presets.map(preset => (
+                      <option key={preset.id} value={preset.id}>
+                        {preset.name}{preset.custom ? ' (custom)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
               <textarea
                 value={theme}
                 onChange={(e) => setTheme(e.target.value)}
@@ -185,6 +1010,7 @@ function App() {
                 maxLength={500}
               />
               <div className="theme-footer">
+                {selectedPreset && <span className="preset-description">{selectedPreset.description}</span>}
                 <span className="char-count">{theme.length}/500</span>
               </div>
               <div className="suggestions">
@@ -201,29 +1027,179 @@ function App() {
               </div>
             </div>
 
+            <div className="storyboard">
+              <label>Storyboard</label>
+              <div className="storyboard-modes">
+                {([
+                  ['single', 'Single clip'],
+                  ['auto', 'Auto scenes'],
+                  ['custom', 'My shot list'],
+                ] as [StoryboardMode, string][]).map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    className={`storyboard-mode ${storyboardMode === mode ? 'active' : ''}`}
+                    onClick={() => setStoryboardMode(mode)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {storyboardMode === 'auto' && (
+                <div className="scene-count">
+                  <input
+                    type="range"
+                    min={2}
+                    max={MAX_SCENES}
+                    value={sceneCount}
+                    onChange={(e) => setSceneCount(Number(e.target.value))}
+                  />
+                  <span>{sceneCount} scenes (~{sceneCount * 6}s of footage)</span>
+                </div>
+              )}
+
+              {storyboardMode === 'custom' && (
+                <div className="shot-list">
+                  {shots.map((shot, i) => (
+                    <div key={i} className="shot">
+                      <span className="shot-number">{i + 1}</span>
+                      <input
+                        value={shot}
+                        onChange={(e) => updateShot(i, e.target.value)}
+                        placeholder="e.g. Hero silhouetted against a burning sky"
+                        maxLength={300}
+                      />
+                      <button onClick={() => setShots(prev => move(prev, i, -1))} disabled={i === 0}>↑</button>
+                      <button onClick={() => setShots(prev => move(prev, i, 1))} disabled={i === shots.length - 1}>↓</button>
+                      <button onClick={() => setShots(prev => prev.filter((_, j) => j !== i))} disabled={shots.length === 1}>×</button>
+                    </div>
+                  ))}
+                  {shots.length < MAX_SCENES && (
+                    <button className="add-shot" onClick={() => setShots(prev => [...prev, ''])}>
+                      + Add shot
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {generationOptions && (
+              <details className="advanced-options">
+                <summary>Advanced settings</summary>
+                <div className="options-grid">
+                  {Object.entries(generationOptions.schema).map(([name, values]) => (
+                    <label key={name}>
+                      {optionLabels[name] || name}
+                      <select
+                        value={String(options[name] ?? generationOptions.defaults[name])}
+                        onChange={(e) => setOption(name, values.find(value => String(value) === e.target.value)!)}
+                      >
+                        {values.map(value => <option key={value} value={value}>{value}</option>)}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </details>
+            )}
+
+            <label className="checkbox-option">
+              <input
+                type="checkbox"
+                checked={burnSubtitles}
+                onChange={(e) => setBurnSubtitles(e.target.checked)}
+              />
+              Burn the lyrics into the video
+            </label>
+
             {error && (
               <div className="error-message">
                 <span>⚠</span> {error}
               </div>
             )}
 
-            <button 
-              className={`generate-btn ${isGenerating ? 'loading' : ''}`}
-              onClick={handleGenerate}
-              disabled={isGenerating || !image || !theme.trim()}
-            >
-              {isGenerating ? (
-                <>
-                  <span className="spinner"></span>
-                  Creating Your Anime Opening...
-                </>
-              ) : (
-                <>
-                  <span className="btn-icon">✨</span>
-                  Generate Anime Opening
-                </>
-              )}
-            </button>
+            {lyricsDraft !== null && (
+              <div className="lyrics-editor">
+                <div className="lyrics-header">
+                  <label>Lyrics{lyricsTitle && `: ${lyricsTitle}`}</label>
+                  <button
+                    className="suggestion-chip"
+                    onClick={() => handleWriteLyrics()}
+                    disabled={isWritingLyrics || isGenerating}
+                  >
+                    Rewrite from theme
+                  </button>
+                </div>
+                <textarea
+                  value={lyricsDraft}
+                  onChange={(e) => setLyricsDraft(e.target.value)}
+                  maxLength={MAX_LYRICS_LENGTH}
+                  disabled={isWritingLyrics || isGenerating}
+                />
+                <div className="theme-footer">
+                  <span className="char-count">{lyricsDraft.length}/{MAX_LYRICS_LENGTH}</span>
+                </div>
+                <div className="lyrics-revise">
+                  <input
+                    value={revision}
+                    onChange={(e) => setRevision(e.target.value)}
+                    placeholder="Ask for changes, e.g. 'make the chorus more hopeful'"
+                    disabled={isWritingLyrics || isGenerating}
+                  />
+                  <button
+                    onClick={() => handleWriteLyrics(revision.trim())}
+                    disabled={isWritingLyrics || isGenerating || !revision.trim() || !lyricsDraft.trim()}
+                  >
+                    Revise
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {estimate && (
+              <p className={`cost-estimate ${estimate.withinBudget ? '' : 'over-budget'}`}>
+                Estimated cost: ${estimate.total.toFixed(2)}
+                <span> ({estimate.items.map(item => `${item.count} × ${item.kind}`).join(', ')})</span>
+                {estimate.budgetError && <span className="budget-error">{estimate.budgetError}</span>}
+              </p>
+            )}
+
+            {lyricsDraft === null ? (
+              <button 
+                className={`generate-btn ${isWritingLyrics ? 'loading' : ''}`}
+                onClick={() => handleWriteLyrics()}
+                disabled={isWritingLyrics || !image || !theme.trim()}
+              >
+                {isWritingLyrics ? (
+                  <>
+                    <span className="spinner"></span>
+                    Writing Lyrics...
+                  </>
+                ) : (
+                  <>
+                    <span className="btn-icon">✍</span>
+                    Write Lyrics
+                  </>
+                )}
+              </button>
+            ) : (
+              <button 
+                className={`generate-btn ${isGenerating ? 'loading' : ''}`}
+                onClick={handleGenerate}
+                disabled={isGenerating || isWritingLyrics || !image || !theme.trim() || !lyricsDraft.trim() || estimate?.withinBudget === false}
+              >
+                {isGenerating ? (
+                  <>
+                    <span className="spinner"></span>
+                    Creating Your Anime Opening...
+                  </>
+                ) : (
+                  <>
+                    <span className="btn-icon">✨</span>
+                    Confirm Lyrics & Generate
+                  </>
+                )}
+              </button>
+            )}
           </div>
 
           {isGenerating && (
@@ -247,6 +1223,30 @@ function App() {
                     </div>
                   ))}
                 </div>
+                {queueStatus && (
+                  <p className="queue-status">
+                    Queued, position {queueStatus.position}
+                    {queueStatus.eta > 0 && ` (starts in about ${Math.max(1, Math.round(queueStatus.eta / 60))} min)`}
+                  </p>
+                )}
+                {pollStatus && <p className="poll-status">{pollStatus}</p>}
+                {scenes.length > 1 && (
+                  <div className="scene-grid">
+                    {scenes.map(scene => (
+                      <div key={scene.id} className={`scene-card ${scene.status}`}>
+                        {scene.rawVideoUrl ? (
+                          <video src={scene.rawVideoUrl} muted loop autoPlay playsInline />
+                        ) : scene.imageUrl ? (
+                          <img src={scene.imageUrl} alt={scene.description} />
+                        ) : (
+                          <div className="scene-placeholder">{scene.id + 1}</div>
+                        )}
+                        <p title={scene.description}>{scene.description}</p>
+                        <span className="scene-status">{scene.error || scene.status}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
                 <div className="progress-bar">
                   <div 
                     className="progress-fill"
@@ -255,6 +1255,11 @@ function App() {
                     }}
                   />
                 </div>
+                {jobId && (
+                  <button className="cancel-btn" onClick={handleCancel} disabled={isCancelling}>
+                    {isCancelling ? 'Cancelling...' : 'Cancel'}
+                  </button>
+                )}
               </div>
             </div>
           )}
@@ -264,15 +1269,79 @@ function App() {
           <section className="result-section">
             <div className="glass-card result-card">
               <h2>Your Anime Opening</h2>
-              <div className="video-container">
-                <video 
-                  src={result.videoUrl} 
-                  controls 
-                  autoPlay 
-                  loop 
-                  className="result-video"
+              {result.subtitlesUrl ? (
+                <KaraokeVideo
+                  videoUrl={result.videoUrl}
+                  subtitlesUrl={result.subtitlesUrl}
+                  overlay={!result.subtitlesBurnedIn}
+                />
+              ) : (
+                <div className="video-container">
+                  <video 
+                    src={result.videoUrl} 
+                    controls 
+                    autoPlay 
+                    loop 
+                    className="result-video"
+                  />
+                </div>
+              )}
+              {result.mergeError && (
+                <div className="error-message">
+                  <span>⚠</span> Music could not be merged into this video: {result.mergeError}
+                </div>
+              )}
+              {result.regenerateError && (
+                <div className="error-message">
+                  <span>⚠</span> Regeneration failed, so this is still the previous version: {result.regenerateError}
+                </div>
+              )}
+              <div className="regenerate">
+                <input
+                  type="text"
+                  value={regeneratePrompt}
+                  onChange={(e) => setRegeneratePrompt(e.target.value)}
+                  placeholder="New prompt for the regenerated part (optional)"
+                  maxLength={500}
+                  disabled={regenerating !== null}
                 />
+                <button onClick={() => handleRegenerate('music')} disabled={regenerating !== null || isGenerating}>
+                  {regenerating === 'music' ? 'Regenerating...' : '🎵 Regenerate music'}
+                </button>
+                <button onClick={() => handleRegenerate('video')} disabled={regenerating !== null || isGenerating}>
+                  {regenerating === 'video' ? 'Regenerating...' : '🎬 Regenerate video'}
+                </button>
               </div>
+              {result.revisions.length > 0 && (
+                <div className="revisions">
+                  <span>Version {result.revision}. Earlier versions:</span>
+                  {result.revisions.map(revision => revision.videoUrl && (
+                    <a key={revision.revision} href={revision.videoUrl} target="_blank" rel="noopener">
+                      v{revision.revision}{revision.regenerated ? ` (new ${revision.regenerated.part})` : ''}
+                    </a>
+                  ))}
+                </div>
+              )}
+              {scenes.length > 1 && (
+                <div className="scene-order">
+                  <h3>Scenes</h3>
+                  <div className="scene-grid">
+                    {scenes.map((scene, i) => (
+                      <div key={scene.id} className="scene-card success">
+                        <video src={scene.rawVideoUrl} muted loop autoPlay playsInline />
+                        <p title={scene.description}>{i + 1}. {scene.description}</p>
+                        <div className="scene-move">
+                          <button onClick={() => setScenes(prev => move(prev, i, -1))} disabled={i === 0 || isReordering}>←</button>
+                          <button onClick={() => setScenes(prev => move(prev, i, 1))} disabled={i === scenes.length - 1 || isReordering}>→</button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  <button className="add-shot" onClick={handleReorder} disabled={isReordering}>
+                    {isReordering ? 'Merging...' : 'Merge in this order'}
+                  </button>
+                </div>
+              )}
               <div className="result-actions">
                 <a 
                   href={result.videoUrl} 
@@ -281,6 +1350,12 @@ function App() {
                 >
                   <span>⬇</span> Download Video
                 </a>
+                {result.subtitlesUrl && (
+                  <>
+                    <a href={result.subtitlesUrl} download className="subtitle-link">.vtt</a>
+                    <a href={result.subtitlesUrl.replace(/\.vtt$/, '.srt')} download className="subtitle-link">.srt</a>
+                  </>
+                )}
               </div>
             </div>
           </section>
@@ -1,10 +1,10 @@
 require('dotenv').config()
 
-const axios = require('axios')
+const { createMiniMaxClient, MiniMaxAuthError, MiniMaxBalanceError } = require('./server/minimax')
 
 // Configuration
 const MINIMAX_API_KEY = process.env.MINIMAX_API_KEY || ''
-const MINIMAX_BASE_URL = 'https://api.minimax.io/v1'
+const minimax = createMiniMaxClient({ apiKey: MINIMAX_API_KEY })
 
 // Colors for console output
 const colors = {
@@ -20,6 +20,19 @@ function log(message, color = 'reset') {
   console.log(`${colors[color]}${message}${colors.reset}`)
 }
 
+// Log a failed MiniMax call, calling out the errors users can fix themselves
+function logApiError(name, error) {
+  if (error instanceof MiniMaxAuthError) {
+    log('ERROR: API key is invalid', 'red')
+  } else if (error instanceof MiniMaxBalanceError) {
+    log('ERROR: Insufficient balance - please add credits to your account', 'red')
+  }
+  log(`${name} FAILED: ${error.message}`, 'red')
+  if (error.response) {
+    log(`Full error response: ${JSON.stringify(error.response)}`, 'red')
+  }
+}
+
 function logSection(title) {
   log(`\n${'='.repeat(60)}`, 'blue')
   log(`${title}`, 'bold')
@@ -46,46 +59,26 @@ async function testTextGeneration() {
   logSection('Test 2: Text Generation (MiniMax-M2.5)')
   
   try {
-    // Using the text generation API endpoint (api.minimax.io)
-    const response = await axios.post(
-      'https://api.minimax.io/v1/text/chatcompletion_v2',
-      {
-        model: 'MiniMax-M2.5',
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: 'Say hello and introduce yourself in one short sentence.'
-              }
-            ]
-          }
-        ],
-        max_tokens: 100
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${MINIMAX_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      }
-    )
+    const { content, reasoning, raw } = await minimax.chat({
+      model: 'MiniMax-M2.5',
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: 'Say hello and introduce yourself in one short sentence.'
+            }
+          ]
+        }
+      ],
+      max_tokens: 100
+    })
     
     log('Text generation request received response', 'green')
-    log(`Response: ${JSON.stringify(response.data, null, 2)}`, 'blue')
-    
-    // Check for API errors
-    if (response.data?.base_resp?.status_code && response.data.base_resp.status_code !== 0) {
-      log(`ERROR: ${response.data.base_resp.status_msg}`, 'red')
-      return false
-    }
-    
-    // Extract the text response (could be in content or reasoning_content)
-    const content = response.data?.choices?.[0]?.message?.content
-    const reasoning = response.data?.choices?.[0]?.message?.reasoning_content
+    log(`Response: ${JSON.stringify(raw, null, 2)}`, 'blue')
     
+    // The text response could be in content or reasoning_content
     if (content) {
       log(`Generated text: ${content}`, 'green')
       return true
@@ -98,10 +91,7 @@ async function testTextGeneration() {
     log('No text content in response', 'yellow')
     return false
   } catch (error) {
-    log(`Text generation FAILED: ${error.response?.data?.base_resp?.status_msg || error.message}`, 'red')
-    if (error.response?.data) {
-      log(`Full error response: ${JSON.stringify(error.response.data)}`, 'red')
-    }
+    logApiError('Text generation', error)
     return false
   }
 }
@@ -111,39 +101,17 @@ async function testVideoGeneration() {
   logSection('Test 3: Video Generation (Hailuo 2.3)')
   
   try {
-    const response = await axios.post(
-      `${MINIMAX_BASE_URL}/video_generation`,
-      {
-        model: 'MiniMax-Hailuo-2.3',
-        prompt: 'A beautiful sunset over mountains with clouds moving slowly, cinematic shot',
-        duration: 6,
-        resolution: '768P'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${MINIMAX_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    )
+    const { taskId, raw } = await minimax.generateVideo({
+      model: 'MiniMax-Hailuo-2.3',
+      prompt: 'A beautiful sunset over mountains with clouds moving slowly, cinematic shot',
+      duration: 6,
+      resolution: '768P'
+    })
     
     log('Video generation request received response', 'green')
-    log(`Response: ${JSON.stringify(response.data, null, 2)}`, 'blue')
-    
-    // Check for API key errors
-    if (response.data?.base_resp?.status_code === 2049) {
-      log('ERROR: API key is invalid', 'red')
-      return false
-    }
-    
-    // Check for insufficient balance
-    if (response.data?.base_resp?.status_code === 1008) {
-      log('ERROR: Insufficient balance - please add credits to your account', 'red')
-      return false
-    }
+    log(`Response: ${JSON.stringify(raw, null, 2)}`, 'blue')
     
     // If it returns a task_id, we can poll for status
-    const taskId = response.data?.task_id || response.data?.task?.task_id
     if (taskId) {
       log(`Task ID: ${taskId}`, 'green')
       
@@ -154,26 +122,16 @@ async function testVideoGeneration() {
         await new Promise(resolve => setTimeout(resolve, 3000))
         
         try {
-          const statusResponse = await axios.get(
-            `${MINIMAX_BASE_URL}/query/video_generation`,
-            {
-              params: { task_id: taskId },
-              headers: {
-                'Authorization': `Bearer ${MINIMAX_API_KEY}`
-              }
-            }
-          )
-          
-          const status = statusResponse.data
-          log(`Status check ${i + 1}: ${JSON.stringify(status)}`, 'blue')
+          const status = await minimax.queryVideo(taskId)
+          log(`Status check ${i + 1}: ${JSON.stringify(status.raw)}`, 'blue')
           
           if (status.status === 'success') {
             log('Video generation completed successfully!', 'green')
-            log(`Video URL: ${status.video?.video_url || 'N/A'}`, 'green')
+            log(`Video URL: ${status.videoUrl || 'N/A'}`, 'green')
             return true
           } else if (status.status === 'failed') {
             log('Video generation failed', 'red')
-            log(`Error: ${JSON.stringify(status)}`, 'red')
+            log(`Error: ${JSON.stringify(status.raw)}`, 'red')
             return false
           }
         } catch (statusError) {
@@ -187,10 +145,7 @@ async function testVideoGeneration() {
     
     return true
   } catch (error) {
-    log(`Video generation FAILED: ${error.response?.data?.error || error.message}`, 'red')
-    if (error.response?.data) {
-      log(`Full error response: ${JSON.stringify(error.response.data)}`, 'red')
-    }
+    logApiError('Video generation', error)
     return false
   }
 }
@@ -200,41 +155,24 @@ async function testImageGeneration() {
   logSection('Test 4: Image Generation')
   
   try {
-    // MiniMax uses image generation endpoint
-    const response = await axios.post(
-      `${MINIMAX_BASE_URL}/image_generation`,
-      {
-        model: 'image-01',
-        prompt: 'A cute anime cat sitting on a cherry blossom branch, soft pink background, anime style, beautiful lighting',
-        num_images: 1,
-        image_setting: {
-          resolution: '1024x1024'
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${MINIMAX_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
+    const { taskId, imageUrls, raw } = await minimax.generateImage({
+      model: 'image-01',
+      prompt: 'A cute anime cat sitting on a cherry blossom branch, soft pink background, anime style, beautiful lighting',
+      num_images: 1,
+      image_setting: {
+        resolution: '1024x1024'
       }
-    )
+    })
     
     log('Image generation request received response', 'green')
-    log(`Response: ${JSON.stringify(response.data, null, 2)}`, 'blue')
+    log(`Response: ${JSON.stringify(raw, null, 2)}`, 'blue')
     
-    // Check for API key errors
-    if (response.data?.base_resp?.status_code === 2049) {
-      log('ERROR: API key is invalid', 'red')
-      return false
-    }
-    
-    // Check for insufficient balance
-    if (response.data?.base_resp?.status_code === 1008) {
-      log('ERROR: Insufficient balance - please add credits to your account', 'red')
-      return false
+    // image-01 usually returns the URLs directly
+    if (imageUrls.length > 0) {
+      log(`Image URL: ${imageUrls[0]}`, 'green')
+      return true
     }
     
-    const taskId = response.data?.task_id || response.data?.task?.task_id
     if (taskId) {
       log(`Task ID: ${taskId}`, 'green')
       
@@ -243,22 +181,12 @@ async function testImageGeneration() {
         await new Promise(resolve => setTimeout(resolve, 2000))
         
         try {
-          const statusResponse = await axios.get(
-            `${MINIMAX_BASE_URL}/query/image_generation`,
-            {
-              params: { task_id: taskId },
-              headers: {
-                'Authorization': `Bearer ${MINIMAX_API_KEY}`
-              }
-            }
-          )
-          
-          const status = statusResponse.data
-          log(`Status check ${i + 1}: ${JSON.stringify(status)}`, 'blue')
+          const status = await minimax.queryImage(taskId)
+          log(`Status check ${i + 1}: ${JSON.stringify(status.raw)}`, 'blue')
           
           if (status.status === 'success') {
             log('Image generation completed successfully!', 'green')
-            log(`Image URL: ${status.image?.image_url || 'N/A'}`, 'green')
+            log(`Image URL: ${status.imageUrl || 'N/A'}`, 'green')
             return true
           } else if (status.status === 'failed') {
             log('Image generation failed', 'red')
@@ -275,10 +203,7 @@ async function testImageGeneration() {
     
     return true
   } catch (error) {
-    log(`Image generation FAILED: ${error.response?.data?.error || error.message}`, 'red')
-    if (error.response?.data) {
-      log(`Full error response: ${JSON.stringify(error.response.data)}`, 'red')
-    }
+    logApiError('Image generation', error)
     return false
   }
 }
@@ -299,48 +224,24 @@ async function testLyricsGeneration() {
   logSection('Test 6: Lyrics Generation')
   
   try {
-    const response = await axios.post(
-      `${MINIMAX_BASE_URL}/lyrics_generation`,
-      {
-        mode: 'write_full_song',
-        prompt: 'An upbeat anime opening song about hope and friendship'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${MINIMAX_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    )
+    const { lyrics, raw } = await minimax.generateLyrics({
+      mode: 'write_full_song',
+      prompt: 'An upbeat anime opening song about hope and friendship'
+    })
     
     log('Lyrics generation request received response', 'green')
-    log(`Response: ${JSON.stringify(response.data, null, 2)}`, 'blue')
-    
-    // Check for API key errors
-    if (response.data?.base_resp?.status_code === 2049) {
-      log('ERROR: API key is invalid', 'red')
-      return false
-    }
-    
-    // Check for insufficient balance
-    if (response.data?.base_resp?.status_code === 1008) {
-      log('ERROR: Insufficient balance - please add credits to your account', 'red')
-      return false
-    }
+    log(`Response: ${JSON.stringify(raw, null, 2)}`, 'blue')
     
     // Check for success
-    if (response.data?.lyrics) {
-      log(`Generated lyrics (first 200 chars): ${response.data.lyrics.substring(0, 200)}...`, 'green')
+    if (lyrics) {
+      log(`Generated lyrics (first 200 chars): ${lyrics.substring(0, 200)}...`, 'green')
       return true
     }
     
     log('No lyrics in response', 'yellow')
     return false
   } catch (error) {
-    log(`Lyrics generation FAILED: ${error.response?.data?.base_resp?.status_msg || error.message}`, 'red')
-    if (error.response?.data) {
-      log(`Full error response: ${JSON.stringify(error.response.data)}`, 'red')
-    }
+    logApiError('Lyrics generation', error)
     return false
   }
 }
@@ -350,12 +251,11 @@ async function testMusicGeneration() {
   logSection('Test 7: Music Generation')
   
   try {
-    const response = await axios.post(
-      `${MINIMAX_BASE_URL}/music_generation`,
-      {
-        model: 'music-2.5',
-        prompt: 'Anime J-Pop opening, upbeat, energetic, catchy melody, with drums, bass, guitar, synth',
-        lyrics: `[Verse 1]
+    // The client allows music generation up to 5 minutes
+    const { audioUrl, raw } = await minimax.generateMusic({
+      model: 'music-2.5',
+      prompt: 'Anime J-Pop opening, upbeat, energetic, catchy melody, with drums, bass, guitar, synth',
+      lyrics: `[Verse 1]
 Sunrise paints the sky in gold
 A new adventure waits untold
 With friends by my side we'll shine so bright
@@ -370,65 +270,32 @@ We are unstoppable
 Together we shine so bright
 With the power of our souls
 We'll keep fighting through the night`,
-        audio_setting: {
-          sample_rate: 44100,
-          bitrate: 256000,
-          format: 'mp3'
-        },
-        output_format: 'url'
+      audio_setting: {
+        sample_rate: 44100,
+        bitrate: 256000,
+        format: 'mp3'
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${MINIMAX_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 180000 // Music generation can take up to 3 minutes
-      }
-    )
+      output_format: 'url'
+    })
     
     log('Music generation request received response', 'green')
-    log(`Response: ${JSON.stringify(response.data, null, 2)}`, 'blue')
-    
-    // Check for API key errors
-    if (response.data?.base_resp?.status_code === 2049) {
-      log('ERROR: API key is invalid', 'red')
-      return false
-    }
-    
-    // Check for insufficient balance
-    if (response.data?.base_resp?.status_code === 1008) {
-      log('ERROR: Insufficient balance - please add credits to your account', 'red')
-      return false
-    }
-    
-    // Check for other API errors
-    if (response.data?.base_resp?.status_code && response.data.base_resp.status_code !== 0) {
-      log(`ERROR: ${response.data.base_resp.status_msg}`, 'red')
-      return false
-    }
+    log(`Response: ${JSON.stringify(raw, null, 2)}`, 'blue')
     
-    // Check for audio file (could be in different locations)
-    const audioUrl = response.data?.audio || response.data?.audio_file || response.data?.data?.audio || response.data?.file_url
     if (audioUrl) {
       log(`Generated music URL: ${audioUrl}`, 'green')
       return true
     }
     
     // Check for task_id (async generation)
-    const taskId = response.data?.task_id || response.data?.trace_id
+    const taskId = raw?.task_id || raw?.trace_id
     if (taskId) {
       log(`Task ID: ${taskId} (async generation)`, 'green')
       return true
     }
     
-    // If we got a successful response but no audio, check if it's still processing
-    if (response.data?.base_resp?.status_code === 0) {
-      log('API accepted the request successfully', 'green')
-      return true
-    }
-    
-    log('No music/audio in response', 'yellow')
-    return false
+    // The client already rejected non-zero status codes, so the request was accepted
+    log('API accepted the request successfully', 'green')
+    return true
   } catch (error) {
     // Check if it's a timeout error (which might mean the request was accepted)
     if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
@@ -436,10 +303,7 @@ We'll keep fighting through the night`,
       return true // Consider this a pass since the API accepted the request
     }
     
-    log(`Music generation FAILED: ${error.response?.data?.base_resp?.status_msg || error.message}`, 'red')
-    if (error.response?.data) {
-      log(`Full error response: ${JSON.stringify(error.response.data)}`, 'red')
-    }
+    logApiError('Music generation', error)
     return false
   }
 }